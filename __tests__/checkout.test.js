@@ -0,0 +1,210 @@
+// Checkout end to end with the offline mock payment provider: cart,
+// PaymentIntent, card confirmation, order creation and the webhook events
+// that settle the order. Orders are placed in transactions, so this needs a
+// MongoDB replica set in MONGODB_TEST_URI (the database is dropped); the
+// suite is skipped without one.
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'checkout-test-secret';
+
+jest.mock('../utils/sendEmail', () => jest.fn().mockResolvedValue(undefined));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../server');
+const payments = require('../utils/paymentProvider');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+const describeWithDatabase = MONGODB_TEST_URI ? describe : describe.skip;
+
+const address = {
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  address: '12 St James Square',
+  city: 'London',
+  state: 'LDN',
+  zipCode: 'SW1Y 4JH',
+  country: 'GB',
+  phone: '+44 20 7946 0000'
+};
+
+// Poll until `check` resolves truthy; in-process webhook events are
+// handled after the request that caused them has returned
+const waitFor = async (check, timeout = 5000) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the payment to settle');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+const variantStock = async (productId) => {
+  const product = await Product.findById(productId);
+  return product.findVariant('Black', '42').stock;
+};
+
+describeWithDatabase('checkout with the mock payment provider', () => {
+  let user;
+  let token;
+  let product;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await mongoose.connect(MONGODB_TEST_URI);
+    await mongoose.connection.dropDatabase();
+
+    user = await User.create({ name: 'Ada Lovelace', email: 'ada@example.com', password: 'analytical-engine' });
+    token = user.getJwtToken();
+    product = await Product.create({
+      name: 'Runner',
+      description: 'Road running shoe',
+      price: 49.99,
+      images: [{ public_id: 'runner', url: 'https://example.com/runner.jpg' }],
+      category: 'Shoes',
+      brand: 'Test',
+      stock: 10,
+      createdBy: user._id,
+      variants: [{ color: 'Black', size: '42', sku: 'RUN-BLK-42', stock: 5 }]
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  it('places a paid order from the cart', async () => {
+    const auth = `Bearer ${token}`;
+    const added = await request(app)
+      .post('/api/cart/items')
+      .set('Authorization', auth)
+      .send({ productId: product._id.toString(), quantity: 1, color: 'Black', size: '42' });
+    expect(added.status).toBe(200);
+
+    const intent = await request(app)
+      .post('/api/payment/create-payment-intent')
+      .set('Authorization', auth)
+      .send({});
+    expect(intent.status).toBe(200);
+    expect(intent.body.amount).toBe(added.body.cart.total);
+
+    // The payment status is the provider's, never the client's
+    const forged = await request(app)
+      .post('/api/orders/checkout')
+      .set('Authorization', auth)
+      .send({ shippingAddress: address, paymentInfo: { id: 'paid', method: 'card', status: 'succeeded' } });
+    expect(forged.status).toBe(409);
+
+    const confirmed = await request(app)
+      .post('/api/payment/mock/confirm')
+      .send({ clientSecret: intent.body.clientSecret, paymentMethod: 'pm_card_visa' });
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.paymentIntent.status).toBe('succeeded');
+
+    const checkout = await request(app)
+      .post('/api/orders/checkout')
+      .set('Authorization', auth)
+      .send({ shippingAddress: address, paymentInfo: { id: intent.body.paymentIntentId, method: 'card' } });
+    expect(checkout.status).toBe(201);
+    expect(checkout.body.order.status).toBe('processing');
+    expect(checkout.body.order.paymentInfo).toMatchObject({
+      id: intent.body.paymentIntentId,
+      status: 'succeeded',
+      cardBrand: 'visa',
+      last4: '4242'
+    });
+    expect(await variantStock(product._id)).toBe(4);
+
+    // The provider's event was emitted and recorded
+    const event = await waitFor(() => PaymentEvent.findOne({
+      type: 'payment_intent.succeeded',
+      objectId: intent.body.paymentIntentId,
+      status: { $ne: 'received' }
+    }));
+    expect(['processed', 'ignored']).toContain(event.status);
+  });
+
+  it('records a declined payment and accepts a retry', async () => {
+    const placed = await request(app)
+      .post('/api/orders')
+      .send({
+        items: [{ product: product._id.toString(), quantity: 1, color: 'Black', size: '42' }],
+        shippingAddress: { ...address, email: 'guest@example.com' },
+        billingAddress: { ...address, email: 'guest@example.com' }
+      });
+    expect(placed.status).toBe(201);
+    expect(placed.body.order.paymentInfo.status).toBe('pending');
+
+    const orderId = placed.body.order._id;
+    const orderToken = (await Order.findById(orderId)).getAccessToken();
+    const intent = await request(app)
+      .post('/api/payment/create-payment-intent')
+      .set('X-Order-Token', orderToken)
+      .send({ orderId });
+    expect(intent.status).toBe(200);
+
+    const declined = await request(app)
+      .post('/api/payment/mock/confirm')
+      .send({ clientSecret: intent.body.clientSecret, paymentMethod: 'pm_card_chargeDeclined' });
+    expect(declined.status).toBe(402);
+
+    const failed = await waitFor(async () => {
+      const order = await Order.findById(orderId);
+      return order.paymentInfo.status === 'failed' && order;
+    });
+    expect(failed.status).toBe('pending');
+    expect(failed.paymentInfo.failureCode).toBe('generic_decline');
+
+    // The same intent is reused for the next attempt
+    const retry = await request(app)
+      .post('/api/payment/create-payment-intent')
+      .set('X-Order-Token', orderToken)
+      .send({ orderId });
+    expect(retry.body.paymentIntentId).toBe(intent.body.paymentIntentId);
+
+    const confirmed = await request(app)
+      .post('/api/payment/mock/confirm')
+      .send({ clientSecret: retry.body.clientSecret, paymentMethod: 'pm_card_mastercard' });
+    expect(confirmed.status).toBe(200);
+
+    const paid = await waitFor(async () => {
+      const order = await Order.findById(orderId);
+      return order.status === 'processing' && order;
+    });
+    expect(paid.paymentInfo).toMatchObject({ status: 'succeeded', cardBrand: 'mastercard', last4: '4444' });
+    expect(paid.paymentInfo.failureCode).toBeUndefined();
+  });
+
+  it('applies signed webhook deliveries once', async () => {
+    const [order] = await Order.find({ 'paymentInfo.status': 'succeeded' }).limit(1);
+    const paymentIntent = await payments.retrieveIntent(order.paymentInfo.id);
+    const body = JSON.stringify({
+      id: 'evt_checkout_test_redelivery',
+      object: 'event',
+      type: 'payment_intent.succeeded',
+      data: { object: paymentIntent }
+    });
+    const deliver = signature => request(app)
+      .post('/api/payment/webhook')
+      .set('Content-Type', 'application/json')
+      .set('x-mock-signature', signature)
+      .send(body);
+
+    expect((await deliver('not-a-signature')).status).toBe(400);
+
+    const first = await deliver(payments.signWebhook(body));
+    expect(first.status).toBe(200);
+    expect(first.body).toEqual({ received: true });
+
+    const replay = await deliver(payments.signWebhook(body));
+    expect(replay.status).toBe(200);
+    expect(replay.body).toEqual({ received: true, duplicate: true });
+    expect((await Order.findById(order._id)).status).toBe('processing');
+  });
+});
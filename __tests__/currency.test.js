@@ -0,0 +1,135 @@
+// Exchange rate import parsing and minor unit conversion. Pure functions,
+// no database.
+const {
+  BASE_CURRENCY,
+  roundAmount,
+  currencyDecimals,
+  centsPerMinorUnit,
+  toMinorUnits,
+  fromMinorUnits,
+  isValidDecimals,
+  parseRatesImport
+} = require('../utils/currency');
+
+describe('minor units', () => {
+  it('uses cents for two-decimal currencies', () => {
+    expect(currencyDecimals('EUR')).toBe(2);
+    expect(centsPerMinorUnit('EUR')).toBe(1);
+    expect(toMinorUnits(54.99, 'EUR')).toBe(5499);
+    expect(fromMinorUnits(5499, 'EUR')).toBe(54.99);
+  });
+
+  it('uses whole units for zero-decimal currencies', () => {
+    expect(currencyDecimals('jpy')).toBe(0);
+    expect(centsPerMinorUnit('JPY')).toBe(100);
+    expect(toMinorUnits(1234, 'JPY')).toBe(1234);
+    expect(fromMinorUnits(1234, 'JPY')).toBe(1234);
+  });
+
+  it('rounds to the minor unit like stored amounts', () => {
+    expect(toMinorUnits(1.005, 'USD')).toBe(101);
+    expect(toMinorUnits(0.1 + 0.2, 'USD')).toBe(30);
+    expect(toMinorUnits(99.5, 'JPY')).toBe(100);
+  });
+
+  it('defaults to the base currency', () => {
+    expect(currencyDecimals()).toBe(currencyDecimals(BASE_CURRENCY));
+  });
+});
+
+describe('isValidDecimals', () => {
+  it('allows up to the currency minor unit', () => {
+    expect(isValidDecimals('EUR', 0)).toBe(true);
+    expect(isValidDecimals('EUR', 2)).toBe(true);
+    expect(isValidDecimals('EUR', 3)).toBe(false);
+    expect(isValidDecimals('JPY', 0)).toBe(true);
+    expect(isValidDecimals('JPY', 2)).toBe(false);
+  });
+
+  it('rejects negative and fractional decimals', () => {
+    expect(isValidDecimals('EUR', -1)).toBe(false);
+    expect(isValidDecimals('EUR', 1.5)).toBe(false);
+  });
+});
+
+describe('roundAmount', () => {
+  it('rounds to a rounding increment', () => {
+    const chf = { currency: 'CHF', rate: 0.9, decimals: 2, roundingIncrement: 0.05, roundingMode: 'nearest' };
+    expect(roundAmount(12.34, chf)).toBe(12.35);
+    expect(roundAmount(12.32, chf)).toBe(12.3);
+  });
+
+  it('rounds up or down by mode', () => {
+    const rate = { currency: 'JPY', rate: 150, decimals: 0, roundingIncrement: 0 };
+    expect(roundAmount(1234.2, { ...rate, roundingMode: 'up' })).toBe(1235);
+    expect(roundAmount(1234.8, { ...rate, roundingMode: 'down' })).toBe(1234);
+  });
+});
+
+describe('parseRatesImport', () => {
+  it('parses a JSON object of rates', () => {
+    expect(parseRatesImport('{ "eur": 0.92, "GBP": "0.79" }')).toEqual({
+      rates: [{ currency: 'EUR', rate: 0.92 }, { currency: 'GBP', rate: 0.79 }],
+      errors: []
+    });
+  });
+
+  it('parses a JSON array with rounding settings', () => {
+    const { rates, errors } = parseRatesImport([
+      { currency: 'CHF', rate: 0.88, decimals: 2, roundingIncrement: 0.05, roundingMode: 'nearest' }
+    ]);
+    expect(errors).toEqual([]);
+    expect(rates).toEqual([
+      { currency: 'CHF', rate: 0.88, decimals: 2, roundingIncrement: 0.05, roundingMode: 'nearest' }
+    ]);
+  });
+
+  it('parses CSV, skipping the header, comments and blank lines', () => {
+    const csv = [
+      'currency,rate,decimals,roundingIncrement,roundingMode',
+      '# refreshed daily',
+      '',
+      'EUR,0.92',
+      'JPY,149.5,0,10,up'
+    ].join('\n');
+    expect(parseRatesImport(csv)).toEqual({
+      rates: [
+        { currency: 'EUR', rate: 0.92 },
+        { currency: 'JPY', rate: 149.5, decimals: 0, roundingIncrement: 10, roundingMode: 'up' }
+      ],
+      errors: []
+    });
+  });
+
+  it('reports invalid rows by line and keeps the valid ones', () => {
+    const csv = [
+      'EURO,0.92',
+      `${BASE_CURRENCY},1`,
+      'GBP,0',
+      'CAD,1.36,2,0,sideways',
+      'AUD,1.52'
+    ].join('\n');
+    const { rates, errors } = parseRatesImport(csv);
+    expect(rates).toEqual([{ currency: 'AUD', rate: 1.52 }]);
+    expect(errors).toEqual([
+      'Line 1: invalid currency code',
+      `Line 2: ${BASE_CURRENCY} is the base currency`,
+      'Line 3: rate must be a positive number',
+      'Line 4: rounding mode must be nearest, up or down'
+    ]);
+  });
+
+  it('rejects more decimals than the currency is charged in', () => {
+    const { rates, errors } = parseRatesImport('EUR,0.92,3\nJPY,149.5,2\nKRW,1330,0');
+    expect(rates).toEqual([{ currency: 'KRW', rate: 1330, decimals: 0 }]);
+    expect(errors).toEqual([
+      'Line 1: EUR amounts have at most 2 decimals',
+      'Line 2: JPY amounts have at most 0 decimals'
+    ]);
+  });
+
+  it('labels JSON errors by currency', () => {
+    const { errors } = parseRatesImport([{ currency: 'SEK', rate: -1 }]);
+    expect(errors).toEqual(['SEK: rate must be a positive number']);
+  });
+});
@@ -0,0 +1,142 @@
+// Fraud rules and scoring. Needs no database: the order history counts the
+// rules look up are stubbed.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { screenOrder, addRule, getRequestCountry } = require('../utils/fraudScreening');
+
+const address = {
+  address: '1 Main St',
+  city: 'Springfield',
+  zipCode: '12345',
+  country: 'US',
+  email: 'jane@example.com'
+};
+
+const order = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  shippingAddress: { ...address },
+  billingAddress: { ...address },
+  totalPrice: 80,
+  exchangeRate: 1,
+  ...fields
+});
+
+// Answer each countDocuments() query from the filter it was given
+const stubHistory = ({ previous = 1, recent = 0, failed = 0 } = {}) => {
+  jest.spyOn(Order, 'countDocuments').mockImplementation((filter) => {
+    let count = recent;
+    if (filter.status) count = previous;
+    if (filter['paymentInfo.status']) count = failed;
+    return { session: () => Promise.resolve(count) };
+  });
+};
+
+const ruleNames = result => result.reasons.map(reason => reason.rule);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('fraud rules', () => {
+  it('passes a regular repeat order', async () => {
+    stubHistory();
+    expect(await screenOrder(order(), { ipCountry: 'US' })).toEqual({ score: 0, reasons: [], hold: false });
+  });
+
+  it('flags different billing and shipping addresses', async () => {
+    stubHistory();
+    const result = await screenOrder(order({ billingAddress: { ...address, zipCode: '99999' } }));
+    expect(result.reasons).toEqual([
+      { rule: 'address_mismatch', message: 'Billing and shipping addresses differ', score: 20 }
+    ]);
+    expect(result.hold).toBe(false);
+  });
+
+  it('compares addresses ignoring case and spacing', async () => {
+    stubHistory();
+    const result = await screenOrder(order({ billingAddress: { ...address, address: ' 1  MAIN st ' } }));
+    expect(ruleNames(result)).toEqual([]);
+  });
+
+  it('flags a high value first order in the base currency', async () => {
+    stubHistory({ previous: 0 });
+    expect(ruleNames(await screenOrder(order({ totalPrice: 600 })))).toEqual(['high_value_first_order']);
+    // 60,000 yen at 150 per dollar is $400
+    expect(ruleNames(await screenOrder(order({ totalPrice: 60000, exchangeRate: 150 })))).toEqual([]);
+  });
+
+  it('does not flag high value orders from returning customers', async () => {
+    stubHistory({ previous: 2 });
+    expect(ruleNames(await screenOrder(order({ totalPrice: 600 })))).toEqual([]);
+  });
+
+  it('flags many recent orders from the same email or IP', async () => {
+    stubHistory({ recent: 3 });
+    const result = await screenOrder(order(), { ip: '203.0.113.5' });
+    expect(result.reasons).toEqual([
+      { rule: 'order_velocity', message: '3 other orders from this email or IP in the last 24 hours', score: 40 }
+    ]);
+    const velocity = Order.countDocuments.mock.calls
+      .map(([filter]) => filter)
+      .find(filter => filter.createdAt && !filter['paymentInfo.status']);
+    expect(velocity.$or).toContainEqual({ 'fraudReview.ip': '203.0.113.5' });
+  });
+
+  it('flags billing and shipping countries that differ, after aliases', async () => {
+    stubHistory();
+    const mismatch = await screenOrder(order({ billingAddress: { ...address, country: 'GB' } }));
+    expect(mismatch.reasons).toContainEqual({
+      rule: 'country_mismatch',
+      message: 'Billing country GB differs from shipping country US',
+      score: 30
+    });
+    const aliased = await screenOrder(order({ billingAddress: { ...address, country: 'United States' } }));
+    expect(ruleNames(aliased)).toEqual([]);
+  });
+
+  it('flags orders placed from another country than they ship to', async () => {
+    stubHistory();
+    const result = await screenOrder(order(), { ipCountry: 'fr' });
+    expect(result.reasons).toEqual([
+      { rule: 'country_mismatch', message: 'Order placed from FR but ships to US', score: 30 }
+    ]);
+  });
+
+  it('flags customers with recent failed payments', async () => {
+    stubHistory({ failed: 2 });
+    expect(ruleNames(await screenOrder(order()))).toEqual(['failed_payments']);
+  });
+
+  it('holds orders that reach the hold score', async () => {
+    stubHistory({ previous: 0, recent: 5 });
+    const result = await screenOrder(order({ totalPrice: 900 }), { ipCountry: 'FR' });
+    expect(ruleNames(result)).toEqual(['high_value_first_order', 'order_velocity', 'country_mismatch']);
+    expect(result.score).toBe(100);
+    expect(result.hold).toBe(true);
+  });
+});
+
+describe('addRule', () => {
+  it('scores registered rules with the built-in ones', async () => {
+    stubHistory();
+    addRule({
+      name: 'disposable_email',
+      score: 60,
+      check: async candidate => (candidate.shippingAddress.email.endsWith('@mailinator.com') ? 'Disposable email address' : null)
+    });
+    const result = await screenOrder(order({ shippingAddress: { ...address, email: 'x@mailinator.com' } }));
+    expect(result).toEqual({
+      score: 60,
+      reasons: [{ rule: 'disposable_email', message: 'Disposable email address', score: 60 }],
+      hold: true
+    });
+  });
+});
+
+describe('getRequestCountry', () => {
+  it('reads the country header set by the hosting edge', () => {
+    expect(getRequestCountry({ headers: { 'x-vercel-ip-country': 'DE' } })).toBe('DE');
+    expect(getRequestCountry({ headers: { 'cf-ipcountry': 'NL' } })).toBe('NL');
+    expect(getRequestCountry({ headers: {} })).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+// Card payments against the offline mock provider, through the same routes
+// the storefront uses. Needs no database: order updates are covered by
+// checkout.test.js.
+process.env.PAYMENT_PROVIDER = 'mock';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../server');
+const payments = require('../utils/paymentProvider');
+
+// Events are delivered after the call that caused them returns
+const nextEvent = type => new Promise((resolve) => {
+  const listener = (event) => {
+    if (event.type === type) resolve(event);
+  };
+  payments.onEvent(listener);
+});
+
+const createIntent = () => payments.createIntent({
+  amount: 5499,
+  currency: 'usd',
+  metadata: { orderId: new mongoose.Types.ObjectId().toString() }
+});
+
+beforeAll(() => {
+  // Without a database the in-process webhook handler fails fast
+  mongoose.set('bufferCommands', false);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  payments.reset();
+});
+
+describe('mock payment provider', () => {
+  it('is the provider selected with PAYMENT_PROVIDER=mock', () => {
+    expect(payments.name).toBe('mock');
+  });
+
+  it('confirms a payment and emits payment_intent.succeeded', async () => {
+    const intent = await createIntent();
+    const succeeded = nextEvent('payment_intent.succeeded');
+
+    const res = await request(app)
+      .post('/api/payment/mock/confirm')
+      .send({ clientSecret: intent.client_secret, paymentMethod: 'pm_card_visa' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.paymentIntent).toMatchObject({ id: intent.id, status: 'succeeded', amount_received: 5499 });
+
+    const event = await succeeded;
+    expect(event.data.object).toMatchObject({ id: intent.id, status: 'succeeded' });
+    expect(event.data.object.latest_charge.payment_method_details.card).toEqual({ brand: 'visa', last4: '4242' });
+  });
+
+  it('declines a payment and emits payment_intent.payment_failed', async () => {
+    const intent = await createIntent();
+    const failed = nextEvent('payment_intent.payment_failed');
+
+    const res = await request(app)
+      .post('/api/payment/mock/confirm')
+      .send({ clientSecret: intent.client_secret, paymentMethod: 'pm_card_chargeDeclined' });
+
+    expect(res.status).toBe(402);
+    expect(res.body.message).toBe('Your card was declined.');
+    expect(res.body.paymentIntent).toMatchObject({ id: intent.id, status: 'requires_payment_method' });
+
+    const event = await failed;
+    expect(event.data.object.last_payment_error).toMatchObject({ code: 'card_declined', decline_code: 'generic_decline' });
+  });
+
+  it('settles delayed payments after reporting them as processing', async () => {
+    const intent = await createIntent();
+    const processing = nextEvent('payment_intent.processing');
+    const succeeded = nextEvent('payment_intent.succeeded');
+
+    const res = await request(app)
+      .post('/api/payment/mock/confirm')
+      .send({ clientSecret: intent.client_secret, paymentMethod: 'pm_card_processing' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.paymentIntent.status).toBe('processing');
+    await processing;
+    expect((await succeeded).data.object.id).toBe(intent.id);
+  });
+
+  it('only confirms intents with their client secret', async () => {
+    const intent = await createIntent();
+
+    const res = await request(app)
+      .post('/api/payment/mock/confirm')
+      .send({ clientSecret: `${intent.id}_secret_guessed`, paymentMethod: 'pm_card_visa' });
+
+    expect(res.status).toBe(404);
+    expect((await payments.retrieveIntent(intent.id)).status).toBe('requires_payment_method');
+  });
+
+  it('replays requests made with the same idempotency key', async () => {
+    const params = { amount: 1000, currency: 'usd', paymentMethod: 'pm_card_visa', confirm: true };
+    const first = await payments.createIntent(params, { idempotencyKey: 'order-1' });
+    const retry = await payments.createIntent(params, { idempotencyKey: 'order-1' });
+
+    expect(retry.id).toBe(first.id);
+    expect(retry.status).toBe('succeeded');
+  });
+
+  it('refunds what was charged and no more', async () => {
+    const intent = await payments.createIntent({ amount: 2000, currency: 'usd', paymentMethod: 'pm_card_visa', confirm: true });
+    const refunded = nextEvent('charge.refunded');
+
+    const refund = await payments.createRefund({ paymentId: intent.id, amount: 500 });
+    expect(refund).toMatchObject({ amount: 500, status: 'succeeded', payment_intent: intent.id });
+    expect((await refunded).data.object.amount_refunded).toBe(500);
+
+    await expect(payments.createRefund({ paymentId: intent.id, amount: 1600 }))
+      .rejects.toMatchObject({ type: 'invalid_request' });
+  });
+
+  it('rejects webhook calls that are not signed with the webhook secret', async () => {
+    const body = JSON.stringify({ id: 'evt_forged', type: 'payment_intent.succeeded', data: { object: {} } });
+
+    const res = await request(app)
+      .post('/api/payment/webhook')
+      .set('Content-Type', 'application/json')
+      .set('x-mock-signature', payments.signWebhook('something else'))
+      .send(body);
+
+    expect(res.status).toBe(400);
+  });
+});
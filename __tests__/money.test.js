@@ -0,0 +1,113 @@
+// Rounding and totals on integer cents. Pure functions, no database.
+const {
+  roundHalfUp,
+  toCents,
+  fromCents,
+  roundMoney,
+  percentOf,
+  sumCents,
+  calculateTotalsInCents
+} = require('../utils/money');
+
+describe('roundHalfUp', () => {
+  it('rounds halves away from zero', () => {
+    expect(roundHalfUp(2.5)).toBe(3);
+    expect(roundHalfUp(-2.5)).toBe(-3);
+    expect(roundHalfUp(2.4999)).toBe(2);
+  });
+
+  it('ignores floating point noise', () => {
+    expect(roundHalfUp(1.005 * 100)).toBe(101);
+    expect(roundHalfUp(0.1 * 3 * 10)).toBe(3);
+  });
+});
+
+describe('toCents and fromCents', () => {
+  it('converts amounts to whole cents', () => {
+    expect(toCents(19.99)).toBe(1999);
+    expect(toCents('5.99')).toBe(599);
+    expect(toCents(1.005)).toBe(101);
+    expect(toCents(-0.125)).toBe(-13);
+  });
+
+  it('leaves empty and non-numeric values for validation', () => {
+    expect(toCents(null)).toBeNull();
+    expect(toCents(undefined)).toBeUndefined();
+    expect(toCents('')).toBe('');
+    expect(toCents('abc')).toBe('abc');
+  });
+
+  it('converts cents back to amounts', () => {
+    expect(fromCents(1999)).toBe(19.99);
+    expect(fromCents(0)).toBe(0);
+    expect(fromCents(null)).toBeNull();
+  });
+
+  it('rounds amounts to whole cents', () => {
+    expect(roundMoney(10.125)).toBe(10.13);
+    expect(roundMoney(0.1 + 0.2)).toBe(0.3);
+  });
+});
+
+describe('percentOf', () => {
+  it('rounds the percentage half up to a cent', () => {
+    expect(percentOf(1000, 8.5)).toBe(85);
+    expect(percentOf(1001, 8.5)).toBe(85);
+    expect(percentOf(1006, 8.5)).toBe(86);
+  });
+
+  it('rounds to multiples of step for currencies without decimals', () => {
+    // 8.5% of 1,234 yen is 104.89 yen
+    expect(percentOf(123400, 8.5, 100)).toBe(10500);
+    expect(percentOf(123400, 8.5, 100) % 100).toBe(0);
+  });
+});
+
+describe('sumCents', () => {
+  it('adds values, treating missing ones as zero', () => {
+    expect(sumCents([100, undefined, 250, null])).toBe(350);
+    expect(sumCents([])).toBe(0);
+  });
+});
+
+describe('calculateTotalsInCents', () => {
+  it('charges shipping below the free shipping threshold', () => {
+    expect(calculateTotalsInCents({ subtotal: 2000 })).toEqual({
+      subtotal: 2000,
+      tax: 170,
+      shipping: 599,
+      discount: 0,
+      total: 2769
+    });
+  });
+
+  it('ships free from the threshold', () => {
+    const totals = calculateTotalsInCents({ subtotal: 5000 });
+    expect(totals.shipping).toBe(0);
+    expect(totals.total).toBe(5425);
+  });
+
+  it('taxes the subtotal before the discount and subtracts the discount', () => {
+    const totals = calculateTotalsInCents({ subtotal: 10000, discount: 1500 });
+    expect(totals.tax).toBe(850);
+    expect(totals.total).toBe(10000 + 850 - 1500);
+  });
+
+  it('uses the given shipping', () => {
+    const totals = calculateTotalsInCents({ subtotal: 1000, shipping: 0 });
+    expect(totals.shipping).toBe(0);
+    expect(totals.total).toBe(1085);
+  });
+
+  it('adds up exactly from rounded parts', () => {
+    const totals = calculateTotalsInCents({ subtotal: 3333, discount: 333 });
+    expect(totals.total).toBe(totals.subtotal + totals.tax + totals.shipping - totals.discount);
+    expect(Number.isInteger(totals.total)).toBe(true);
+  });
+
+  it('rounds tax to the currency step', () => {
+    const totals = calculateTotalsInCents({ subtotal: 123400, shipping: 0, step: 100 });
+    expect(totals.tax).toBe(10500);
+    expect(totals.total % 100).toBe(0);
+  });
+});
@@ -0,0 +1,81 @@
+// Order status rules on unsaved documents. Needs no database, so side
+// effects that write to it (stock, loyalty points, gift cards) are not run.
+const Order = require('../models/Order');
+
+const order = (fields = {}) => new Order({ status: 'pending', ...fields });
+
+describe('order status transitions', () => {
+  it('lists the next statuses of each status', () => {
+    expect(order().getNextStatuses()).toEqual(['processing', 'on_hold', 'cancelled']);
+    expect(order({ status: 'processing' }).getNextStatuses()).toEqual(['partially_shipped', 'shipped', 'cancelled']);
+    expect(order({ status: 'partially_shipped' }).getNextStatuses()).toEqual(['shipped']);
+    expect(order({ status: 'delivered' }).getNextStatuses()).toEqual(['partially_refunded', 'refunded']);
+  });
+
+  it('ends at cancelled and refunded', () => {
+    expect(order({ status: 'cancelled' }).getNextStatuses()).toEqual([]);
+    expect(order({ status: 'refunded' }).getNextStatuses()).toEqual([]);
+    expect(order({ status: 'cancelled' }).canBeCancelled()).toBe(false);
+  });
+
+  it('rejects unknown statuses', () => {
+    expect(order().getTransitionError('lost')).toBe('Invalid status: lost');
+  });
+
+  it('rejects skipping or going back', () => {
+    expect(order().getTransitionError('shipped')).toBe('Order cannot move from pending to shipped');
+    expect(order({ status: 'delivered' }).getTransitionError('shipped')).toBe('Order cannot move from delivered to shipped');
+    expect(order({ status: 'delivered' }).canBeCancelled()).toBe(false);
+  });
+
+  it('allows the regular flow', () => {
+    expect(order().canTransitionTo('processing')).toBe(true);
+    expect(order({ status: 'processing' }).canTransitionTo('shipped')).toBe(true);
+    expect(order({ status: 'shipped' }).canTransitionTo('delivered')).toBe(true);
+    expect(order({ status: 'delivered' }).canTransitionTo('refunded')).toBe(true);
+  });
+});
+
+describe('order status guards', () => {
+  it('keeps orders on hold until fraud review approves them', () => {
+    expect(order({ status: 'on_hold' }).getTransitionError('pending')).toBe('Order is on hold for fraud review');
+    expect(order({ status: 'on_hold', fraudReview: { status: 'pending' } }).canTransitionTo('pending')).toBe(false);
+    expect(order({ status: 'on_hold', fraudReview: { status: 'approved' } }).canTransitionTo('pending')).toBe(true);
+    expect(order({ status: 'on_hold' }).canTransitionTo('cancelled')).toBe(true);
+  });
+
+  it('does not process orders whose payment failed', () => {
+    expect(order({ paymentInfo: { status: 'failed' } }).getTransitionError('processing')).toBe('Payment for this order has failed');
+    expect(order({ paymentInfo: { status: 'succeeded' } }).canTransitionTo('processing')).toBe(true);
+  });
+
+  it('does not refund orders whose refund was rejected', () => {
+    const rejected = order({ status: 'delivered', refundInfo: { status: 'rejected' } });
+    expect(rejected.getTransitionError('refunded')).toBe('Refund request for this order was rejected');
+    expect(rejected.getTransitionError('partially_refunded')).toBe('Refund request for this order was rejected');
+  });
+});
+
+describe('transitionTo', () => {
+  it('throws a 409 OrderTransitionError when not allowed', async () => {
+    const pending = order();
+    await expect(pending.transitionTo('delivered')).rejects.toMatchObject({
+      name: 'OrderTransitionError',
+      statusCode: 409,
+      message: 'Order cannot move from pending to delivered'
+    });
+    expect(pending.status).toBe('pending');
+    expect(pending.statusHistory).toHaveLength(0);
+  });
+
+  it('records the change in the status history', async () => {
+    const processing = order({ status: 'processing' });
+    await processing.transitionTo('shipped', { note: 'Handed to carrier' });
+    expect(processing.status).toBe('shipped');
+    expect(processing.shippingInfo.shippedAt).toBeInstanceOf(Date);
+    expect(processing.statusHistory[processing.statusHistory.length - 1]).toMatchObject({
+      status: 'shipped',
+      note: 'Handed to carrier'
+    });
+  });
+});
@@ -0,0 +1,67 @@
+// Subscription order dates. Pure date arithmetic, no database.
+const Subscription = require('../models/Subscription');
+
+const { addMonths } = Subscription;
+
+// Dates in local time, like the scheduler
+const date = (year, month, day) => new Date(year, month - 1, day, 9, 30);
+
+describe('Subscription.addMonths', () => {
+  it('keeps the day of the month', () => {
+    expect(addMonths(date(2026, 3, 15), 1)).toEqual(date(2026, 4, 15));
+    expect(addMonths(date(2026, 1, 1), 6)).toEqual(date(2026, 7, 1));
+  });
+
+  it('rolls over into the next year', () => {
+    expect(addMonths(date(2026, 11, 20), 3)).toEqual(date(2027, 2, 20));
+  });
+
+  it('clamps to the last day of shorter months', () => {
+    expect(addMonths(date(2026, 1, 31), 1)).toEqual(date(2026, 2, 28));
+    expect(addMonths(date(2028, 1, 31), 1)).toEqual(date(2028, 2, 29));
+    expect(addMonths(date(2026, 3, 31), 1)).toEqual(date(2026, 4, 30));
+  });
+
+  it('clamps only the month it lands in', () => {
+    expect(addMonths(date(2026, 1, 31), 2)).toEqual(date(2026, 3, 31));
+  });
+
+  it('keeps the time of day', () => {
+    const next = addMonths(date(2026, 5, 10), 1);
+    expect([next.getHours(), next.getMinutes()]).toEqual([9, 30]);
+  });
+
+  it('does not change the date it was given', () => {
+    const start = date(2026, 1, 31);
+    addMonths(start, 1);
+    expect(start).toEqual(date(2026, 1, 31));
+  });
+
+  it('accepts timestamps', () => {
+    expect(addMonths(date(2026, 8, 5).getTime(), 12)).toEqual(date(2027, 8, 5));
+  });
+});
+
+describe('subscription cycles', () => {
+  const subscription = fields => new Subscription({
+    frequencyMonths: 1,
+    nextOrderDate: date(2026, 1, 31),
+    ...fields
+  });
+
+  it('advances the next order date by the frequency', () => {
+    const monthly = subscription();
+    monthly.advance();
+    expect(monthly.nextOrderDate).toEqual(date(2026, 2, 28));
+
+    const quarterly = subscription({ frequencyMonths: 3 });
+    quarterly.advance();
+    expect(quarterly.nextOrderDate).toEqual(date(2026, 4, 30));
+  });
+
+  it('skips the next delivery by one cycle', () => {
+    const monthly = subscription({ nextOrderDate: date(2026, 6, 1) });
+    monthly.skip();
+    expect(monthly.nextOrderDate).toEqual(date(2026, 7, 1));
+  });
+});
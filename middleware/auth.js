@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Order = require('../models/Order');
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -83,8 +84,38 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Order access for guests - requires a signed order token in the
+// X-Order-Token header or ?token= query and loads the order into req.order
+const orderAccess = async (req, res, next) => {
+  const token = req.headers['x-order-token'] || req.query.token;
+  const orderId = token ? Order.verifyAccessToken(token) : null;
+
+  if (!orderId) {
+    return res.status(401).json({
+      success: false,
+      message: 'A valid order access token is required'
+    });
+  }
+
+  try {
+    req.order = await Order.findById(orderId);
+  } catch (error) {
+    req.order = null;
+  }
+
+  if (!req.order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   protect,
   authorize,
-  optionalAuth
+  optionalAuth,
+  orderAccess
 }; 
\ No newline at end of file
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// A key still processing after this long belongs to a request that died
+// without answering, and the next retry takes it over
+const LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 120;
+
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(req.body || {}))
+  .digest('hex');
+
+// Replay the stored response when a request is retried with the same
+// Idempotency-Key header. Must run after protect/optionalAuth so keys are
+// scoped to the caller.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 255 characters'
+    });
+  }
+
+  // Guests have no id, so their keys are scoped to the request itself (and
+  // any order token): a guessed key alone never replays someone's response
+  const fingerprint = fingerprintRequest(req);
+  const caller = req.user
+    ? req.user.id
+    : `guest-${crypto.createHash('sha256').update(`${fingerprint}:${req.get('X-Order-Token') || req.query.token || ''}`).digest('hex')}`;
+  const scope = `${caller}:${req.method}:${req.baseUrl}${req.path}`;
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      scope,
+      fingerprint,
+      expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    const existing = await IdempotencyKey.findOne({ key, scope });
+    if (!existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is being processed'
+      });
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(409).json({
+        success: false,
+        message: 'Idempotency-Key was already used with a different request'
+      });
+    }
+
+    if (existing.status === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // Only one retry can claim a stale key: the claim bumps updatedAt
+    const stale = existing.updatedAt <= new Date(Date.now() - LOCK_SECONDS * 1000);
+    record = stale
+      ? await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', updatedAt: existing.updatedAt },
+        { $set: { status: 'processing' } },
+        { new: true }
+      )
+      : null;
+    if (!record) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is being processed'
+      });
+    }
+  }
+
+  // Capture the response so retries get exactly the same answer. Server
+  // errors release the key so the client can try again, as do requests
+  // that end without a JSON response (aborted, crashed or streamed).
+  let settled = false;
+  res.on('close', () => {
+    if (settled) return;
+    IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+      .catch(error => console.error('Idempotency key release error:', error));
+  });
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    const statusCode = res.statusCode;
+    const settle = statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { status: 'completed', response: { statusCode, body: JSON.parse(JSON.stringify(body)) } }
+      );
+    settle.catch(error => console.error('Idempotency key update error:', error));
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = idempotent;
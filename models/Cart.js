@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const { BASE_CURRENCY, roundAmount, currencyDecimals, centsPerMinorUnit } = require('../utils/currency');
+const {
+  money,
+  moneySchemaOptions,
+  moneyUnitField,
+  toCents,
+  fromCents,
+  sumCents,
+  percentOf,
+  calculateTotalsInCents,
+  FREE_SHIPPING_THRESHOLD,
+  SHIPPING_FEE
+} = require('../utils/money');
 
 const cartSchema = new mongoose.Schema({
   user: {
@@ -17,10 +30,9 @@ const cartSchema = new mongoose.Schema({
       type: String,
       required: true
     },
-    price: {
-      type: Number,
+    price: money({
       required: true
-    },
+    }),
     quantity: {
       type: Number,
       required: true,
@@ -47,27 +59,70 @@ const cartSchema = new mongoose.Schema({
     maxQuantity: {
       type: Number,
       default: 10
+    },
+    // in_stock, preorder or backorder, with the release or restock date
+    availability: {
+      type: String,
+      default: 'in_stock'
+    },
+    expectedDate: {
+      type: Date
+    },
+    // Who receives the card, for gift card products
+    giftCard: {
+      recipientName: String,
+      recipientEmail: String,
+      message: String
     }
   }],
-  subtotal: {
-    type: Number,
+  subtotal: money({
     default: 0
-  },
-  tax: {
-    type: Number,
+  }),
+  tax: money({
     default: 0
-  },
-  shipping: {
-    type: Number,
+  }),
+  shipping: money({
     default: 0
-  },
-  discount: {
-    type: Number,
+  }),
+  discount: money({
+    default: 0
+  }),
+  total: money({
     default: 0
+  }),
+  // Applied gift cards; `balance` is as of when the card was applied and
+  // `amount` the part of the total it covers
+  giftCards: [{
+    giftCard: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'GiftCard',
+      required: true
+    },
+    last4: {
+      type: String
+    },
+    balance: money({
+      default: 0
+    }),
+    amount: money({
+      default: 0
+    })
+  }],
+  giftCardAmount: money({
+    default: 0
+  }),
+  // Left to pay by card after gift cards
+  amountDue: money({
+    default: 0
+  }),
+  // Currency of all cart amounts and its rate from the base currency
+  currency: {
+    type: String,
+    default: BASE_CURRENCY
   },
-  total: {
+  exchangeRate: {
     type: Number,
-    default: 0
+    default: 1
   },
   coupon: {
     code: {
@@ -98,47 +153,134 @@ const cartSchema = new mongoose.Schema({
   lastUpdated: {
     type: Date,
     default: Date.now
-  }
+  },
+  moneyUnit: moneyUnitField
 }, {
-  timestamps: true
+  timestamps: true,
+  ...moneySchemaOptions
 });
 
-// Calculate cart totals
+// Fixed amounts (shipping fee, fixed coupons) are set in the base currency
+cartSchema.methods.fromBaseAmount = function(amount) {
+  if (!this.exchangeRate || this.exchangeRate === 1) return amount;
+  return roundAmount(amount * this.exchangeRate, { decimals: currencyDecimals(this.currency) });
+};
+
+// Switch the cart to another currency and re-price its items. `rate` is
+// an exchange rate from utils/currency, `products` the cart's products.
+cartSchema.methods.setCurrency = function(rate, products) {
+  this.currency = rate.currency;
+  this.exchangeRate = rate.rate;
+  this.items.forEach(item => {
+    const product = products.find(p => p._id.toString() === item.product.toString());
+    if (product) {
+      item.price = product.getPriceIn(rate).price;
+    }
+  });
+  this.calculateTotals();
+  this.lastUpdated = new Date();
+};
+
+// Calculate cart totals in cents (see utils/money for the rounding rules)
 cartSchema.methods.calculateTotals = function() {
-  this.subtotal = this.items.reduce((total, item) => {
-    return total + (item.price * item.quantity);
-  }, 0);
-  
-  // Calculate tax (example: 8.5%)
-  this.tax = this.subtotal * 0.085;
-  
-  // Calculate shipping (free over $50, otherwise $5.99)
-  this.shipping = this.subtotal >= 50 ? 0 : 5.99;
-  
-  // Apply coupon discount
-  let discountAmount = 0;
+  const subtotal = sumCents(this.items.map(item => toCents(item.price) * item.quantity));
+
+  // Free shipping over the threshold, otherwise the flat fee
+  const shipping = subtotal >= toCents(this.fromBaseAmount(FREE_SHIPPING_THRESHOLD))
+    ? 0
+    : toCents(this.fromBaseAmount(SHIPPING_FEE));
+
+  // Apply coupon discount; `coupon.discount` is a percentage or a fixed amount
+  const step = centsPerMinorUnit(this.currency);
+  const discountable = this.getDiscountableCents();
+  let discount = 0;
   if (this.coupon && this.coupon.discount > 0) {
-    if (this.coupon.type === 'percentage') {
-      discountAmount = this.subtotal * (this.coupon.discount / 100);
-    } else {
-      discountAmount = this.coupon.discount;
-    }
-    this.discount = Math.min(discountAmount, this.subtotal);
+    discount = this.coupon.type === 'percentage'
+      ? percentOf(discountable, this.coupon.discount, step)
+      : toCents(this.fromBaseAmount(this.coupon.discount));
+    discount = Math.min(discount, discountable);
   }
-  
-  this.total = this.subtotal + this.tax + this.shipping - this.discount;
+
+  const totals = calculateTotalsInCents({ subtotal, discount, shipping, step });
+  this.subtotal = fromCents(totals.subtotal);
+  this.tax = fromCents(totals.tax);
+  this.shipping = fromCents(totals.shipping);
+  this.discount = fromCents(totals.discount);
+  this.total = fromCents(totals.total);
+
+  const giftCards = this.allocateGiftCards(totals.total);
+  (this.giftCards || []).forEach((card, index) => {
+    card.amount = fromCents(giftCards[index].amount);
+  });
+  this.giftCardAmount = fromCents(sumCents(giftCards.map(card => card.amount)));
+  this.amountDue = fromCents(totals.total - toCents(this.giftCardAmount));
+};
+
+// Split `totalCents` over the applied gift cards in the order they were
+// added. Returns { giftCard, last4, amount } with amounts in cents.
+cartSchema.methods.allocateGiftCards = function(totalCents, balances = null) {
+  let remaining = totalCents;
+  return (this.giftCards || []).map(card => {
+    const balance = balances ? balances[card.giftCard.toString()] || 0 : toCents(card.balance);
+    const amount = Math.max(Math.min(balance, remaining), 0);
+    remaining -= amount;
+    return { giftCard: card.giftCard, last4: card.last4, amount };
+  });
+};
+
+// Apply a gift card; its balance is checked again at checkout
+cartSchema.methods.applyGiftCard = function(giftCard) {
+  const existing = this.giftCards.find(card => card.giftCard.toString() === giftCard._id.toString());
+  if (existing) {
+    existing.balance = giftCard.balance;
+  } else {
+    this.giftCards.push({ giftCard: giftCard._id, last4: giftCard.last4, balance: giftCard.balance });
+  }
+  this.calculateTotals();
+  this.lastUpdated = new Date();
+};
+
+cartSchema.methods.removeGiftCard = function(giftCardId) {
+  this.giftCards = this.giftCards.filter(card => card.giftCard.toString() !== giftCardId.toString());
+  this.calculateTotals();
+  this.lastUpdated = new Date();
+};
+
+const isGiftCardItem = item => Boolean(item.giftCard && item.giftCard.recipientEmail);
+
+// Whether the cart holds gift card products
+cartSchema.methods.hasGiftCardItems = function() {
+  return this.items.some(isGiftCardItem);
+};
+
+// Subtotal in cents that coupons and loyalty points may discount. Gift
+// cards are sold at face value.
+cartSchema.methods.getDiscountableCents = function() {
+  return sumCents(this.items.filter(item => !isGiftCardItem(item)).map(item => toCents(item.price) * item.quantity));
+};
+
+// Refresh an item's stock and pre/backorder details from its product
+cartSchema.methods.setItemAvailability = function(item, product) {
+  const availability = product.getAvailability(item.color, item.size);
+  item.inStock = availability.stock > 0;
+  item.maxQuantity = Math.min(availability.orderable, 10);
+  item.availability = availability.mode;
+  item.expectedDate = availability.releaseDate || availability.expectedDate;
 };
 
-// Add item to cart
-cartSchema.methods.addItem = function(product, quantity = 1, color = null, size = null) {
+// Add item to cart. Gift card lines with different recipients stay apart.
+cartSchema.methods.addItem = function(product, quantity = 1, color = null, size = null, price = product.price, giftCard = null) {
+  const recipientEmail = giftCard ? giftCard.recipientEmail : undefined;
   const existingItemIndex = this.items.findIndex(item => 
     item.product.toString() === product._id.toString() &&
     item.color === color &&
-    item.size === size
+    item.size === size &&
+    (item.giftCard && item.giftCard.recipientEmail) === recipientEmail
   );
   
   if (existingItemIndex > -1) {
     // Update existing item quantity
+    this.setItemAvailability(this.items[existingItemIndex], product);
     this.items[existingItemIndex].quantity += quantity;
     if (this.items[existingItemIndex].quantity > this.items[existingItemIndex].maxQuantity) {
       this.items[existingItemIndex].quantity = this.items[existingItemIndex].maxQuantity;
@@ -148,15 +290,15 @@ cartSchema.methods.addItem = function(product, quantity = 1, color = null, size
     this.items.push({
       product: product._id,
       name: product.name,
-      price: product.price,
+      price,
       quantity: quantity,
       color: color,
       size: size,
       image: product.images[0]?.url || '',
       sku: product.sku,
-      inStock: product.stock > 0,
-      maxQuantity: Math.min(product.stock, 10)
+      giftCard: giftCard || undefined
     });
+    this.setItemAvailability(this.items[this.items.length - 1], product);
   }
   
   this.calculateTotals();
@@ -189,6 +331,9 @@ cartSchema.methods.clearCart = function() {
   this.discount = 0;
   this.total = 0;
   this.coupon = null;
+  this.giftCards = [];
+  this.giftCardAmount = 0;
+  this.amountDue = 0;
   this.lastUpdated = new Date();
 };
 
@@ -223,7 +368,10 @@ cartSchema.methods.getSummary = function() {
     tax: this.tax,
     shipping: this.shipping,
     discount: this.discount,
-    total: this.total
+    total: this.total,
+    giftCardAmount: this.giftCardAmount,
+    amountDue: this.amountDue,
+    currency: this.currency
   };
 };
 
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically increment and return the next value for a sequence
+counterSchema.statics.next = async function(key, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+// Make sure a sequence is at least the given value (used by migrations)
+counterSchema.statics.ensureAtLeast = async function(key, value, session = null) {
+  await this.updateOne(
+    { _id: key },
+    { $max: { seq: value } },
+    { upsert: true, session }
+  );
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Exchange rate from the base currency (BASE_CURRENCY) to another currency,
+// with the rounding applied to converted prices in that currency
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // Units of `currency` per 1 unit of the base currency
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'Rate must be positive']
+  },
+  // Digits after the decimal point (0 for JPY). Amounts are stored in
+  // cents, so at most 2.
+  decimals: {
+    type: Number,
+    default: 2,
+    min: 0,
+    max: 2
+  },
+  // Round converted prices to a multiple of this amount, e.g. 0.05 for CHF
+  roundingIncrement: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  roundingMode: {
+    type: String,
+    enum: ['nearest', 'up', 'down'],
+    default: 'nearest'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { BASE_CURRENCY } = require('../utils/currency');
+const { money, moneySchemaOptions, moneyUnitField, toCents, fromCents } = require('../utils/money');
+
+// Days a gift card stays valid after it is issued
+// GIFT_CARD_EXPIRE_DAYS=1825
+const EXPIRE_DAYS = parseInt(process.env.GIFT_CARD_EXPIRE_DAYS, 10) || 1825;
+// No 0/O or 1/I, so codes survive being read out and typed in
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 16;
+
+// Prepaid balance that pays for orders. Only a hash of the code is stored;
+// the code itself is shown once, in the email to the recipient. The ledger
+// records every balance movement as a signed amount.
+const giftCardSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  last4: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: BASE_CURRENCY
+  },
+  initialBalance: money({
+    required: true
+  }),
+  balance: money({
+    required: true
+  }),
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active',
+    index: true
+  },
+  expiresAt: {
+    type: Date
+  },
+  purchaser: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Order line the card was bought with; `sequence` numbers the cards of
+  // a line so each is issued once
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order'
+  },
+  orderItem: {
+    type: mongoose.Schema.ObjectId
+  },
+  sequence: {
+    type: Number
+  },
+  recipient: {
+    name: String,
+    email: String
+  },
+  senderName: {
+    type: String
+  },
+  message: {
+    type: String
+  },
+  deliveredAt: {
+    type: Date
+  },
+  issuedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  ledger: [{
+    type: {
+      type: String,
+      enum: ['issue', 'redeem', 'restore', 'adjust'],
+      required: true
+    },
+    // Positive for credits, negative for debits
+    amount: money({
+      required: true
+    }),
+    order: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Order'
+    },
+    note: {
+      type: String
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  moneyUnit: moneyUnitField
+}, {
+  timestamps: true,
+  ...moneySchemaOptions
+});
+
+giftCardSchema.index(
+  { order: 1, orderItem: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { order: { $exists: true } } }
+);
+
+const giftCardError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.name = 'GiftCardError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeCode = code => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashCode = code => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+// Random code in groups of four, e.g. 7KQM-X2RD-9HTB-WP4C
+const generateCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code.match(/.{4}/g).join('-');
+};
+
+// Cards that can still be spent right now
+const usableFilter = () => ({
+  status: 'active',
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+giftCardSchema.statics.normalizeCode = normalizeCode;
+
+giftCardSchema.statics.findByCode = function(code) {
+  if (normalizeCode(code).length !== CODE_LENGTH) return Promise.resolve(null);
+  return this.findOne({ codeHash: hashCode(code) });
+};
+
+// Create a card with a fresh code. Resolves to { giftCard, code }; the code
+// cannot be recovered later, so send it before dropping it.
+giftCardSchema.statics.issue = async function(details, session = null) {
+  const code = generateCode();
+  const [giftCard] = await this.create([{
+    ...details,
+    codeHash: hashCode(code),
+    last4: normalizeCode(code).slice(-4),
+    initialBalance: details.amount,
+    balance: details.amount,
+    expiresAt: details.expiresAt || new Date(Date.now() + EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+    ledger: [{ type: 'issue', amount: details.amount, order: details.order, note: details.note }]
+  }], { session });
+  return { giftCard, code };
+};
+
+// Atomically spend `amount` of a card's balance on an order. Throws if the
+// card is no longer usable or its balance has dropped below the amount.
+giftCardSchema.statics.redeem = async function(giftCardId, amount, order, session = null) {
+  const giftCard = await this.findOneAndUpdate(
+    { _id: giftCardId, ...usableFilter(), balance: { $gte: toCents(amount) } },
+    {
+      $inc: { balance: -amount },
+      $push: { ledger: { type: 'redeem', amount: -amount, order: order._id, note: `Spent on order ${order.orderNumber}` } }
+    },
+    { new: true, session }
+  );
+  if (!giftCard) {
+    throw giftCardError('A gift card on this order no longer has enough balance', 409);
+  }
+  return giftCard;
+};
+
+// Give back up to `amount` of what an order spent from its gift cards, or
+// all of it, card by card. What each card got back is recorded on the
+// order, so save the order in the same transaction; calling it again only
+// restores what is left. Resolves to the amount restored.
+giftCardSchema.statics.restoreForOrder = async function(order, session = null, amount = null) {
+  let left = amount === null ? Infinity : toCents(amount);
+  let restored = 0;
+  for (const used of order.giftCards || []) {
+    const share = Math.min(toCents(used.amount) - toCents(used.refunded || 0), left);
+    if (!(share > 0)) continue;
+    const result = await this.updateOne(
+      { _id: used.giftCard },
+      {
+        $inc: { balance: fromCents(share) },
+        $push: { ledger: { type: 'restore', amount: fromCents(share), order: order._id, note: `Returned from order ${order.orderNumber}` } }
+      },
+      { session }
+    );
+    if (result.matchedCount === 0) continue;
+    used.refunded = fromCents(toCents(used.refunded || 0) + share);
+    left -= share;
+    restored += share;
+  }
+  order.giftCardRefunded = fromCents(toCents(order.giftCardRefunded || 0) + restored);
+  return fromCents(restored);
+};
+
+// Disable the cards bought on an order that is cancelled or refunded, and
+// take back their unspent balance. What was already spent stays spent.
+// Resolves to the amount taken back.
+giftCardSchema.statics.voidForOrder = async function(order, session = null) {
+  const giftCards = await this.find({ order: order._id, status: 'active' }).session(session);
+  let voided = 0;
+  for (const giftCard of giftCards) {
+    const unspent = giftCard.balance;
+    giftCard.status = 'disabled';
+    giftCard.balance = 0;
+    if (unspent > 0) {
+      giftCard.ledger.push({ type: 'adjust', amount: -unspent, order: order._id, note: `Order ${order.orderNumber} was ${order.status}` });
+    }
+    await giftCard.save({ session });
+    voided += toCents(unspent);
+  }
+  return fromCents(voided);
+};
+
+// Reason the card cannot pay in `currency`, or null if it can
+giftCardSchema.methods.getUsableError = function(currency) {
+  if (this.status !== 'active') return `Gift card ending ${this.last4} is disabled`;
+  if (this.expiresAt && this.expiresAt <= new Date()) return `Gift card ending ${this.last4} has expired`;
+  if (!(this.balance > 0)) return `Gift card ending ${this.last4} has no balance left`;
+  if (currency && this.currency !== currency) {
+    return `Gift card ending ${this.last4} is in ${this.currency} and cannot pay in ${currency}`;
+  }
+  return null;
+};
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
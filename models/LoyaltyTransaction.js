@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const { toCents, fromCents, sumCents } = require('../utils/money');
+
+// Points earned per dollar spent, by member tier
+// LOYALTY_EARN_RATES=Bronze:1,Silver:1.25,Gold:1.5,Platinum:2
+const EARN_RATES = (process.env.LOYALTY_EARN_RATES || 'Bronze:1,Silver:1.25,Gold:1.5,Platinum:2')
+  .split(',').reduce((rates, entry) => {
+    const [tier, rate] = entry.split(':').map(part => part && part.trim());
+    if (tier && !Number.isNaN(parseFloat(rate))) rates[tier] = parseFloat(rate);
+    return rates;
+  }, {});
+// Dollar value of one point when redeemed
+const POINT_VALUE = parseFloat(process.env.LOYALTY_POINT_VALUE) || 0.01;
+const EXPIRE_DAYS = parseInt(process.env.LOYALTY_POINTS_EXPIRE_DAYS, 10) || 365;
+
+// Ledger of loyalty point movements. User.loyaltyPoints is the running
+// balance; credit entries (earn, restore) are lots that are spent oldest
+// first and expire with `expiresAt`.
+const loyaltyTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order'
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['earn', 'redeem', 'reverse', 'restore', 'expire', 'adjust']
+  },
+  // Positive for credits, negative for debits
+  points: {
+    type: Number,
+    required: true
+  },
+  // Unspent points of a credit lot
+  remaining: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date
+  },
+  description: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loyaltyTransactionSchema.index({ user: 1, remaining: 1, expiresAt: 1 });
+
+const expiryDate = () => new Date(Date.now() + EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+const earnRateFor = tier => (EARN_RATES[tier] !== undefined ? EARN_RATES[tier] : 1);
+
+// Add a credit lot and raise the user's balance
+loyaltyTransactionSchema.statics.credit = async function(entry, session = null) {
+  const User = mongoose.model('User');
+  const [transaction] = await this.create([{
+    ...entry,
+    remaining: entry.points,
+    expiresAt: expiryDate()
+  }], { session });
+  await User.updateOne({ _id: entry.user }, { $inc: { loyaltyPoints: entry.points } }, { session });
+  return transaction;
+};
+
+// Spend points from the user's lots, oldest expiry first (starting with
+// `preferredLot` if given), and lower the balance. Records one debit entry.
+loyaltyTransactionSchema.statics.debit = async function(entry, session = null, preferredLot = null) {
+  const User = mongoose.model('User');
+  let left = entry.points;
+
+  const lots = await this.find({
+    user: entry.user,
+    remaining: { $gt: 0 },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).sort({ expiresAt: 1, createdAt: 1 }).session(session);
+  if (preferredLot) {
+    lots.sort((a, b) => (b._id.equals(preferredLot) ? 1 : 0) - (a._id.equals(preferredLot) ? 1 : 0));
+  }
+
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const used = Math.min(lot.remaining, left);
+    await this.updateOne({ _id: lot._id }, { $inc: { remaining: -used } }, { session });
+    left -= used;
+  }
+
+  const [transaction] = await this.create([{ ...entry, points: -entry.points }], { session });
+  await User.updateOne({ _id: entry.user }, { $inc: { loyaltyPoints: -entry.points } }, { session });
+  return transaction;
+};
+
+// Spend points on an order at checkout. Throws if the balance is too low.
+loyaltyTransactionSchema.statics.redeem = async function(userId, points, order, session = null) {
+  const User = mongoose.model('User');
+  const user = await User.findOne({ _id: userId, loyaltyPoints: { $gte: points } }).session(session);
+  if (!user) {
+    const error = new Error('Not enough loyalty points');
+    error.name = 'LoyaltyError';
+    error.statusCode = 400;
+    throw error;
+  }
+  return this.debit({
+    user: userId,
+    order: order._id,
+    type: 'redeem',
+    points,
+    description: `Redeemed on order ${order.orderNumber}`
+  }, session);
+};
+
+// Points for an order at the customer's current tier
+loyaltyTransactionSchema.statics.pointsForOrder = function(order, tier) {
+  // Points are earned on the base currency value of the goods other than
+  // gift cards, after discounts and less what gift cards paid, matching
+  // what points can be redeemed on (see quoteForCart)
+  const goods = sumCents(order.items
+    .filter(item => !(item.giftCard && item.giftCard.recipientEmail))
+    .map(item => toCents(item.price) * item.quantity));
+  const spent = goods - toCents(order.discountAmount || 0) - toCents(order.giftCardAmount || 0);
+  return Math.max(Math.floor(fromCents(spent) / (order.exchangeRate || 1) * earnRateFor(tier)), 0);
+};
+
+// Value of a number of points in dollars
+loyaltyTransactionSchema.statics.pointsToAmount = function(points) {
+  return Math.round(points * POINT_VALUE * 100) / 100;
+};
+
+// Points to spend on a cart and the discount they give in the cart's
+// currency. Points pay for goods other than gift cards, after any coupon.
+loyaltyTransactionSchema.statics.quoteForCart = function(cart, requestedPoints) {
+  const maxDiscount = Math.max(cart.getDiscountableCents() - toCents(cart.discount), 0);
+  // Points are valued in the base currency
+  const pointsUsed = Math.min(requestedPoints, Math.ceil(fromCents(maxDiscount) / (POINT_VALUE * cart.exchangeRate)));
+  const discount = Math.min(toCents(cart.fromBaseAmount(this.pointsToAmount(pointsUsed))), maxDiscount);
+  return { pointsUsed, discount: fromCents(discount) };
+};
+
+loyaltyTransactionSchema.statics.getSettings = function() {
+  return { earnRates: EARN_RATES, pointValue: POINT_VALUE, expireDays: EXPIRE_DAYS };
+};
+
+// Award points for a delivered order, once
+loyaltyTransactionSchema.statics.earnForOrder = async function(order, session = null) {
+  if (!order.user || order.loyaltyPointsEarned > 0) return 0;
+  const existing = await this.findOne({ order: order._id, type: 'earn' }).session(session);
+  if (existing) return 0;
+
+  const User = mongoose.model('User');
+  const user = await User.findById(order.user).session(session);
+  if (!user) return 0;
+  const points = this.pointsForOrder(order, user.memberTier);
+  if (points <= 0) return 0;
+
+  await this.credit({
+    user: user._id,
+    order: order._id,
+    type: 'earn',
+    points,
+    description: `Earned on order ${order.orderNumber}`
+  }, session);
+  order.loyaltyPointsEarned = points;
+  return points;
+};
+
+// Take back earned points in proportion to the amount refunded. Only
+// refunds of the card-charged amount count, as gift card payments are
+// restored instead. The balance never goes below zero: points already
+// spent are taken back from later refunds once the balance allows.
+loyaltyTransactionSchema.statics.reverseForOrder = async function(order, session = null) {
+  if (!order.user || !(order.loyaltyPointsEarned > 0)) return 0;
+  const earnLot = await this.findOne({ order: order._id, type: 'earn' }).session(session);
+  if (!earnLot) return 0;
+
+  const amountDue = order.getAmountDue();
+  const refundedShare = amountDue > 0 ? Math.min(order.amountRefunded / amountDue, 1) : 1;
+  const target = Math.ceil(order.loyaltyPointsEarned * refundedShare);
+  const reversed = await this.aggregate([
+    { $match: { order: order._id, type: 'reverse' } },
+    { $group: { _id: null, points: { $sum: '$points' } } }
+  ]).session(session);
+  const alreadyReversed = reversed.length ? -reversed[0].points : 0;
+  const owed = target - alreadyReversed;
+  if (owed <= 0) return 0;
+
+  const user = await mongoose.model('User').findById(order.user).select('loyaltyPoints').session(session);
+  const points = Math.min(owed, Math.max((user && user.loyaltyPoints) || 0, 0));
+  if (points <= 0) return 0;
+
+  await this.debit({
+    user: order.user,
+    order: order._id,
+    type: 'reverse',
+    points,
+    description: points < owed
+      ? `Reversed for refund on order ${order.orderNumber} (${owed - points} points already spent)`
+      : `Reversed for refund on order ${order.orderNumber}`
+  }, session, earnLot._id);
+  return points;
+};
+
+// Give back points spent on an order that was cancelled or fully refunded
+loyaltyTransactionSchema.statics.restoreForOrder = async function(order, session = null) {
+  if (!order.user || !(order.loyaltyPointsUsed > 0)) return 0;
+  const existing = await this.findOne({ order: order._id, type: 'restore' }).session(session);
+  if (existing) return 0;
+
+  await this.credit({
+    user: order.user,
+    order: order._id,
+    type: 'restore',
+    points: order.loyaltyPointsUsed,
+    description: `Returned from order ${order.orderNumber}`
+  }, session);
+  return order.loyaltyPointsUsed;
+};
+
+// Expire unspent points from lots past their expiry date
+loyaltyTransactionSchema.statics.expirePoints = async function(limit = 500) {
+  const lots = await this.find({ remaining: { $gt: 0 }, expiresAt: { $lte: new Date() } }).limit(limit);
+  let expired = 0;
+  for (const lot of lots) {
+    // Claim the lot so a concurrent run cannot expire it twice
+    const claimed = await this.findOneAndUpdate(
+      { _id: lot._id, remaining: lot.remaining },
+      { $set: { remaining: 0 } }
+    );
+    if (!claimed) continue;
+    await this.create({
+      user: lot.user,
+      type: 'expire',
+      points: -lot.remaining,
+      description: `${lot.remaining} points expired`
+    });
+    await mongoose.model('User').updateOne({ _id: lot.user }, { $inc: { loyaltyPoints: -lot.remaining } });
+    expired += lot.remaining;
+  }
+  return expired;
+};
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Product = require('./Product');
+const Counter = require('./Counter');
+const LoyaltyTransaction = require('./LoyaltyTransaction');
+const GiftCard = require('./GiftCard');
+const OrderActivity = require('./OrderActivity');
+const { generateOrderNumber } = require('../utils/orderNumber');
+const { BASE_CURRENCY } = require('../utils/currency');
+const { money, moneySchemaOptions, moneyUnitField, toCents, fromCents, sumCents, roundHalfUp } = require('../utils/money');
+const withTransaction = require('../utils/transaction');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -21,10 +32,9 @@ const orderSchema = new mongoose.Schema({
       type: String,
       required: true
     },
-    price: {
-      type: Number,
+    price: money({
       required: true
-    },
+    }),
     quantity: {
       type: Number,
       required: true,
@@ -42,6 +52,27 @@ const orderSchema = new mongoose.Schema({
     },
     sku: {
       type: String
+    },
+    // Pre-ordered or backordered lines; `heldQuantity` units are waiting
+    // for stock and cannot be packed until it arrives
+    availability: {
+      type: String,
+      enum: ['in_stock', 'preorder', 'backorder'],
+      default: 'in_stock'
+    },
+    heldQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    expectedDate: {
+      type: Date
+    },
+    // Who receives the card, for gift card products
+    giftCard: {
+      recipientName: String,
+      recipientEmail: String,
+      message: String
     }
   }],
   shippingAddress: {
@@ -124,40 +155,48 @@ const orderSchema = new mongoose.Schema({
       required: true
     },
     cardBrand: String,
-    last4: String
+    last4: String,
+    // Set from Stripe webhooks
+    paidAt: Date,
+    failureCode: String,
+    failureMessage: String
   },
   paymentMethod: {
     type: mongoose.Schema.ObjectId,
     ref: 'PaymentMethod'
   },
-  itemsPrice: {
-    type: Number,
+  itemsPrice: money({
     required: true,
     default: 0.0
-  },
-  taxPrice: {
-    type: Number,
+  }),
+  taxPrice: money({
     required: true,
     default: 0.0
-  },
-  shippingPrice: {
-    type: Number,
+  }),
+  shippingPrice: money({
     required: true,
     default: 0.0
-  },
-  discountAmount: {
-    type: Number,
+  }),
+  discountAmount: money({
     default: 0.0
-  },
-  totalPrice: {
-    type: Number,
+  }),
+  totalPrice: money({
     required: true,
     default: 0.0
+  }),
+  // Currency of every amount on the order and its rate from the base currency
+  currency: {
+    type: String,
+    default: BASE_CURRENCY
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1
   },
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
+    enum: ['pending', 'on_hold', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   statusHistory: [{
@@ -169,7 +208,11 @@ const orderSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    note: String
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }
   }],
   shippingInfo: {
     carrier: {
@@ -192,6 +235,49 @@ const orderSchema = new mongoose.Schema({
       type: Date
     }
   },
+  // Packages the order is shipped in, each holding some of the order items
+  fulfillments: [{
+    items: [{
+      orderItem: {
+        type: mongoose.Schema.ObjectId,
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      }
+    }],
+    carrier: {
+      type: String,
+      default: 'Standard Shipping'
+    },
+    trackingNumber: {
+      type: String
+    },
+    trackingUrl: {
+      type: String
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'shipped', 'delivered'],
+      default: 'pending'
+    },
+    shippedAt: {
+      type: Date
+    },
+    deliveredAt: {
+      type: Date
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   notes: {
     type: String
   },
@@ -199,10 +285,9 @@ const orderSchema = new mongoose.Schema({
     code: {
       type: String
     },
-    discount: {
-      type: Number,
+    discount: money({
       default: 0
-    }
+    })
   },
   loyaltyPointsEarned: {
     type: Number,
@@ -212,6 +297,38 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Part of discountAmount paid with loyalty points
+  loyaltyDiscount: money({
+    default: 0
+  }),
+  // Gift cards that paid part of totalPrice; the rest is charged by card
+  giftCards: [{
+    giftCard: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'GiftCard',
+      required: true
+    },
+    last4: {
+      type: String
+    },
+    amount: money({
+      required: true
+    }),
+    // Part of `amount` given back to the card by refunds or cancellation
+    refunded: money({
+      default: 0
+    })
+  }],
+  giftCardAmount: money({
+    default: 0
+  }),
+  giftCardRefunded: money({
+    default: 0
+  }),
+  // Set once every gift card bought on the order has been emailed
+  giftCardsDeliveredAt: {
+    type: Date
+  },
   isGift: {
     type: Boolean,
     default: false
@@ -220,10 +337,9 @@ const orderSchema = new mongoose.Schema({
     type: String
   },
   refundInfo: {
-    amount: {
-      type: Number,
+    amount: money({
       default: 0
-    },
+    }),
     reason: String,
     processedAt: Date,
     status: {
@@ -232,83 +348,623 @@ const orderSchema = new mongoose.Schema({
       default: 'pending'
     }
   },
+  // Refunds issued through the payment provider
+  refunds: [{
+    stripeRefundId: {
+      type: String
+    },
+    amount: money({
+      required: true
+    }),
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed', 'canceled', 'requires_action'],
+      default: 'pending'
+    },
+    reason: String,
+    return: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Return'
+    },
+    processedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  amountRefunded: money({
+    default: 0
+  }),
+  // One-time code for guests who look up an order by number and email
+  guestAccess: {
+    type: {
+      codeHash: String,
+      codeExpire: Date,
+      // Codes sent and attempts made since windowStart, across codes
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      codesSent: {
+        type: Number,
+        default: 0
+      },
+      windowStart: Date
+    },
+    select: false
+  },
+  // Result of fraud screening at checkout; visible to admins only
+  fraudReview: {
+    type: {
+      score: {
+        type: Number,
+        default: 0
+      },
+      reasons: [{
+        rule: String,
+        message: String,
+        score: Number
+      }],
+      status: {
+        type: String,
+        enum: ['clear', 'review', 'approved', 'rejected'],
+        default: 'clear'
+      },
+      ip: String,
+      ipCountry: String,
+      reviewedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date,
+      note: String
+    },
+    select: false
+  },
+  // Set once the "complete your purchase" email has gone out
+  paymentReminderSentAt: {
+    type: Date
+  },
+  // Subscription that placed this order, if any
+  subscription: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Subscription',
+    index: true
+  },
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  invoicedAt: {
+    type: Date
+  },
   estimatedDeliveryDate: {
     type: Date
   },
   actualDeliveryDate: {
     type: Date
-  }
+  },
+  moneyUnit: moneyUnitField
 }, {
-  timestamps: true
+  timestamps: true,
+  ...moneySchemaOptions
 });
 
-// Generate order number
-orderSchema.pre('save', async function(next) {
-  if (!this.orderNumber) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    
-    // Get count of orders for today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    const count = await this.constructor.countDocuments({
-      createdAt: {
-        $gte: today,
-        $lt: tomorrow
-      }
-    });
-    
-    this.orderNumber = `${year}${month}${day}${(count + 1).toString().padStart(3, '0')}`;
+// Generate order number from the counter sequence. Runs before validation
+// because orderNumber is required.
+orderSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.orderNumber) {
+    this.orderNumber = await generateOrderNumber(this.$session());
   }
-  
-  // Add status to history if status changed
-  if (this.isModified('status')) {
+  next();
+});
+
+orderSchema.pre('save', function(next) {
+  // Add status to history if status changed outside transitionTo()
+  if (this.isModified('status') && !this.$locals.statusRecorded) {
     this.statusHistory.push({
       status: this.status,
       timestamp: new Date()
     });
   }
   
+  this.$locals.statusRecorded = false;
   next();
 });
 
 // Calculate total price
 orderSchema.methods.calculateTotal = function() {
-  this.itemsPrice = this.items.reduce((total, item) => total + (item.price * item.quantity), 0);
-  this.totalPrice = this.itemsPrice + this.taxPrice + this.shippingPrice - this.discountAmount;
+  const itemsCents = sumCents(this.items.map(item => toCents(item.price) * item.quantity));
+  this.itemsPrice = fromCents(itemsCents);
+  this.totalPrice = fromCents(itemsCents + toCents(this.taxPrice) + toCents(this.shippingPrice) - toCents(this.discountAmount));
+};
+
+// Allowed status changes. Every route changes status through
+// transitionTo() so these rules and their side effects always apply.
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'on_hold', 'cancelled'],
+  on_hold: ['pending', 'cancelled'],
+  processing: ['partially_shipped', 'shipped', 'cancelled'],
+  partially_shipped: ['shipped'],
+  shipped: ['delivered', 'cancelled', 'partially_refunded', 'refunded'],
+  delivered: ['partially_refunded', 'refunded'],
+  cancelled: [],
+  partially_refunded: ['refunded'],
+  refunded: []
+};
+
+// Extra per-order checks; return a reason to block the change
+const STATUS_GUARDS = {
+  pending: order => (order.status === 'on_hold' && (!order.fraudReview || order.fraudReview.status !== 'approved')
+    ? 'Order is on hold for fraud review'
+    : null),
+  processing: order => (order.paymentInfo && order.paymentInfo.status === 'failed'
+    ? 'Payment for this order has failed'
+    : null),
+  partially_refunded: order => (order.refundInfo && order.refundInfo.status === 'rejected'
+    ? 'Refund request for this order was rejected'
+    : null),
+  refunded: order => (order.refundInfo && order.refundInfo.status === 'rejected'
+    ? 'Refund request for this order was rejected'
+    : null)
+};
+
+// Side effects applied as part of a status change
+const STATUS_EFFECTS = {
+  partially_shipped: async (order) => {
+    if (!order.shippingInfo.shippedAt) {
+      order.shippingInfo.shippedAt = new Date();
+    }
+  },
+  shipped: async (order) => {
+    order.shippingInfo.shippedAt = new Date();
+    if (!order.shippingInfo.estimatedDelivery) {
+      order.shippingInfo.estimatedDelivery = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000); // 3 days
+    }
+  },
+  delivered: async (order, session) => {
+    order.shippingInfo.deliveredAt = new Date();
+    order.actualDeliveryDate = new Date();
+    await LoyaltyTransaction.earnForOrder(order, session);
+    if (order.user) {
+      const user = await mongoose.model('User').findById(order.user).session(session);
+      if (user) {
+        await user.recalculateOrderStats();
+        await user.save({ session });
+      }
+    }
+  },
+  cancelled: async (order, session) => {
+    await Product.releaseStock(order.items, session);
+    await LoyaltyTransaction.restoreForOrder(order, session);
+    await GiftCard.restoreForOrder(order, session);
+    await GiftCard.voidForOrder(order, session);
+  }
+};
+
+// Statuses the order may move to next
+orderSchema.methods.getNextStatuses = function() {
+  return STATUS_TRANSITIONS[this.status] || [];
+};
+
+// Reason why the order cannot move to `newStatus`, or null if it can
+orderSchema.methods.getTransitionError = function(newStatus) {
+  if (!STATUS_TRANSITIONS[newStatus]) {
+    return `Invalid status: ${newStatus}`;
+  }
+  if (!this.getNextStatuses().includes(newStatus)) {
+    return `Order cannot move from ${this.status} to ${newStatus}`;
+  }
+  const guard = STATUS_GUARDS[newStatus];
+  return guard ? guard(this) : null;
 };
 
-// Update order status
-orderSchema.methods.updateStatus = function(newStatus, note = '') {
+orderSchema.methods.canTransitionTo = function(newStatus) {
+  return this.getTransitionError(newStatus) === null;
+};
+
+// Move the order to a new status, recording history and applying side
+// effects. Database side effects use `session`, so save the order in the
+// same transaction. Throws an error with statusCode 409 if not allowed.
+orderSchema.methods.transitionTo = async function(newStatus, { note = '', session = null, actor = null } = {}) {
+  const transitionError = this.getTransitionError(newStatus);
+  if (transitionError) {
+    const error = new Error(transitionError);
+    error.name = 'OrderTransitionError';
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const previousStatus = this.status;
   this.status = newStatus;
   this.statusHistory.push({
     status: newStatus,
     timestamp: new Date(),
-    note
+    note: note || `Status changed from ${previousStatus} to ${newStatus}`,
+    changedBy: actor
   });
-  
-  // Update shipping info based on status
-  if (newStatus === 'shipped') {
-    this.shippingInfo.shippedAt = new Date();
-  } else if (newStatus === 'delivered') {
-    this.shippingInfo.deliveredAt = new Date();
-    this.actualDeliveryDate = new Date();
+  this.$locals.statusRecorded = true;
+
+  const effect = STATUS_EFFECTS[newStatus];
+  if (effect) {
+    await effect(this, session);
+  }
+};
+
+// Give stock that has arrived for a product to held pre/backorder lines,
+// oldest order first. Returns the number of units released for packing.
+orderSchema.statics.allocateHeldStock = async function(productId, actor = null) {
+  const orders = await this.find({
+    status: { $in: ['pending', 'on_hold', 'processing', 'partially_shipped'] },
+    items: { $elemMatch: { product: productId, heldQuantity: { $gt: 0 } } }
+  }).select('_id').sort({ createdAt: 1 });
+
+  let allocated = 0;
+  for (const { _id } of orders) {
+    const released = await withTransaction(async (session) => {
+      const order = await this.findById(_id).session(session);
+      const lines = [];
+      for (const item of order.items) {
+        if (!item.product.equals(productId) || !(item.heldQuantity > 0)) continue;
+        const taken = await Product.takeStock(item, item.heldQuantity, session);
+        if (taken > 0) {
+          item.heldQuantity -= taken;
+          lines.push({ name: item.name, quantity: taken });
+        }
+      }
+      if (lines.length > 0) await order.save({ session });
+      return lines;
+    });
+    if (released.length === 0) continue;
+
+    await OrderActivity.log({
+      order: _id,
+      type: 'fulfillment',
+      message: `Stock arrived for ${released.map(line => `${line.quantity} x ${line.name}`).join(', ')}`,
+      actor
+    });
+    allocated += released.reduce((total, line) => total + line.quantity, 0);
+  }
+  return allocated;
+};
+
+// Load an order and change its status in one transaction, so stock and
+// status never get out of sync. Returns null if the order does not exist.
+orderSchema.statics.transition = function(orderId, newStatus, options = {}) {
+  return withTransaction(async (session) => {
+    const order = await this.findById(orderId).session(session);
+    if (!order) return null;
+    await order.transitionTo(newStatus, { ...options, session });
+    await order.save({ session });
+    return order;
+  });
+};
+
+// Quantity of an order item not yet assigned to a package
+orderSchema.methods.getUnfulfilledQuantity = function(orderItemId) {
+  const item = this.items.id(orderItemId);
+  if (!item) return 0;
+  const assigned = this.fulfillments.reduce((total, fulfillment) => {
+    return total + fulfillment.items
+      .filter(entry => entry.orderItem.toString() === item._id.toString())
+      .reduce((sum, entry) => sum + entry.quantity, 0);
+  }, 0);
+  return item.quantity - assigned;
+};
+
+// Quantity of an order item that can be packed now, leaving out units
+// still waiting for pre/backorder stock
+orderSchema.methods.getShippableQuantity = function(orderItemId) {
+  const item = this.items.id(orderItemId);
+  if (!item) return 0;
+  return Math.max(this.getUnfulfilledQuantity(orderItemId) - (item.heldQuantity || 0), 0);
+};
+
+// Reason why the items cannot go into a new package, or null if they can
+orderSchema.methods.getFulfillmentError = function(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'At least one item is required';
+  }
+  const requested = {};
+  for (const entry of items) {
+    if (!entry || !this.items.id(entry.orderItem) || !Number.isInteger(entry.quantity) || entry.quantity < 1) {
+      return 'One or more package items are invalid';
+    }
+    requested[entry.orderItem] = (requested[entry.orderItem] || 0) + entry.quantity;
+  }
+  for (const [orderItemId, quantity] of Object.entries(requested)) {
+    const item = this.items.id(orderItemId);
+    if (quantity > this.getShippableQuantity(orderItemId)) {
+      return item.heldQuantity > 0 && quantity <= this.getUnfulfilledQuantity(orderItemId)
+        ? `${item.heldQuantity} of ${item.name} are waiting for ${item.availability === 'preorder' ? 'release' : 'restock'}`
+        : `Quantity for ${item.name} exceeds what is left to ship`;
+    }
+  }
+  return null;
+};
+
+// Order status implied by the packages, or null when there are none
+orderSchema.methods.getFulfillmentStatus = function() {
+  if (this.fulfillments.length === 0) return null;
+
+  const shipped = this.fulfillments.filter(f => ['shipped', 'delivered'].includes(f.status));
+  if (shipped.length === 0) return null;
+
+  const allAssigned = this.items.every(item => this.getUnfulfilledQuantity(item._id) === 0);
+  const allShipped = allAssigned && shipped.length === this.fulfillments.length;
+  if (!allShipped) return 'partially_shipped';
+
+  return this.fulfillments.every(f => f.status === 'delivered') ? 'delivered' : 'shipped';
+};
+
+// Move the order along with its packages; statuses that cannot be reached
+// from the current one (e.g. on hold) are left alone
+orderSchema.methods.syncFulfillmentStatus = async function(options = {}) {
+  // Keep the single-carrier shipping info filled in for older clients
+  const firstShipped = this.fulfillments.find(f => ['shipped', 'delivered'].includes(f.status));
+  if (firstShipped && !this.shippingInfo.trackingNumber) {
+    this.shippingInfo.carrier = firstShipped.carrier;
+    this.shippingInfo.trackingNumber = firstShipped.trackingNumber;
+    this.shippingInfo.trackingUrl = firstShipped.trackingUrl;
+  }
+
+  const target = this.getFulfillmentStatus();
+  if (!target || target === this.status) return;
+
+  // Delivered orders still pass through shipped
+  if (target === 'delivered' && this.status !== 'shipped' && this.canTransitionTo('shipped')) {
+    await this.transitionTo('shipped', options);
+  }
+  if (this.canTransitionTo(target)) {
+    await this.transitionTo(target, options);
   }
 };
 
+// Packages with the items they contain, for tracking pages
+orderSchema.methods.getPackages = function() {
+  return this.fulfillments.map(fulfillment => ({
+    id: fulfillment._id,
+    carrier: fulfillment.carrier,
+    trackingNumber: fulfillment.trackingNumber,
+    trackingUrl: fulfillment.trackingUrl,
+    status: fulfillment.status,
+    shippedAt: fulfillment.shippedAt,
+    deliveredAt: fulfillment.deliveredAt,
+    items: fulfillment.items.map(entry => {
+      const item = this.items.id(entry.orderItem);
+      return {
+        orderItem: entry.orderItem,
+        name: item ? item.name : undefined,
+        color: item ? item.color : undefined,
+        size: item ? item.size : undefined,
+        quantity: entry.quantity
+      };
+    })
+  }));
+};
+
+// Assign the next sequential invoice number the first time an invoice is
+// issued. Runs in a transaction so numbers are never skipped or reused.
+orderSchema.methods.ensureInvoiceNumber = async function() {
+  if (this.invoiceNumber) return this.invoiceNumber;
+
+  const { invoiceNumber, invoicedAt } = await withTransaction(async (session) => {
+    const current = await this.constructor.findById(this._id).session(session);
+    if (current.invoiceNumber) return current;
+
+    const seq = await Counter.next('invoiceNumber', session);
+    current.invoiceNumber = `${process.env.INVOICE_NUMBER_PREFIX || 'INV'}${seq.toString().padStart(6, '0')}`;
+    current.invoicedAt = new Date();
+    await current.save({ session });
+    return current;
+  });
+
+  this.invoiceNumber = invoiceNumber;
+  this.invoicedAt = invoicedAt;
+  return invoiceNumber;
+};
+
+// Signed token that lets whoever holds it view and manage this order
+orderSchema.methods.getAccessToken = function() {
+  return jwt.sign({ orderId: this._id, type: 'order-access' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ORDER_ACCESS_TOKEN_EXPIRE || '30d'
+  });
+};
+
+// Order id from an access token, or null if the token is invalid or expired
+orderSchema.statics.verifyAccessToken = function(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'order-access' ? decoded.orderId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether the email is the shipping or billing email of the order
+orderSchema.methods.matchesEmail = function(email) {
+  if (!email) return false;
+  const normalized = email.trim().toLowerCase();
+  return [this.shippingAddress?.email, this.billingAddress?.email]
+    .filter(Boolean)
+    .some(orderEmail => orderEmail.trim().toLowerCase() === normalized);
+};
+
+// Guest verification codes: at most five codes and five attempts per
+// order per hour, however many codes are requested
+const ACCESS_CODE_WINDOW = 60 * 60 * 1000;
+const MAX_ACCESS_CODES = 5;
+const MAX_ACCESS_ATTEMPTS = 5;
+
+// Create a six digit verification code; only its hash is stored. Returns
+// null once the order has had too many codes this hour. Needs the order
+// loaded with `+guestAccess`.
+orderSchema.methods.createAccessCode = function() {
+  const access = this.guestAccess || {};
+  const windowOpen = access.windowStart && access.windowStart.getTime() > Date.now() - ACCESS_CODE_WINDOW;
+  const codesSent = windowOpen ? access.codesSent || 0 : 0;
+  if (codesSent >= MAX_ACCESS_CODES) {
+    return null;
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  this.guestAccess = {
+    codeHash: crypto.createHash('sha256').update(code).digest('hex'),
+    codeExpire: Date.now() + 15 * 60 * 1000, // 15 minutes
+    attempts: windowOpen ? access.attempts || 0 : 0,
+    codesSent: codesSent + 1,
+    windowStart: windowOpen ? access.windowStart : new Date()
+  };
+  return code;
+};
+
+// Check a verification code. Codes are single use, and failed attempts
+// count against the hour rather than the code.
+orderSchema.methods.checkAccessCode = function(code) {
+  const access = this.guestAccess;
+  if (!access || !access.codeHash || access.codeExpire < Date.now() || access.attempts >= MAX_ACCESS_ATTEMPTS) {
+    return false;
+  }
+  access.attempts += 1;
+  const codeHash = crypto.createHash('sha256').update(String(code)).digest('hex');
+  if (codeHash !== access.codeHash) {
+    return false;
+  }
+  access.codeHash = undefined;
+  access.codeExpire = undefined;
+  return true;
+};
+
+// Attach guest orders placed with the user's email to their account.
+// Pass `orderIds` to claim specific orders regardless of email (e.g. with
+// an order access token). Returns the number of orders linked.
+orderSchema.statics.claimGuestOrders = async function(user, orderIds = null) {
+  // `user: null` also matches orders without the field
+  const guestFilter = { user: null };
+  let filter;
+  if (orderIds) {
+    filter = { ...guestFilter, _id: { $in: orderIds } };
+  } else {
+    const email = new RegExp(`^${user.email.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    filter = {
+      $and: [
+        guestFilter,
+        { $or: [{ 'shippingAddress.email': email }, { 'billingAddress.email': email }] }
+      ]
+    };
+  }
+
+  const orders = await this.find(filter).select('_id status');
+  let claimed = 0;
+  for (const order of orders) {
+    // Only link orders that are still unclaimed
+    const result = await this.updateOne(
+      { _id: order._id, ...guestFilter },
+      {
+        $set: { user: user._id },
+        $push: {
+          statusHistory: {
+            status: order.status,
+            timestamp: new Date(),
+            note: `Guest order linked to account ${user.email}`
+          }
+        }
+      }
+    );
+    claimed += result.modifiedCount;
+  }
+  return claimed;
+};
+
 // Check if order can be cancelled
 orderSchema.methods.canBeCancelled = function() {
-  return ['pending', 'processing', 'shipped'].includes(this.status);
+  return this.canTransitionTo('cancelled');
 };
 
 // Check if order can be refunded
 orderSchema.methods.canBeRefunded = function() {
-  return ['delivered', 'shipped'].includes(this.status);
+  return ['delivered', 'shipped', 'partially_refunded'].includes(this.status);
+};
+
+// Part of the total charged through the payment provider
+orderSchema.methods.getAmountDue = function() {
+  return fromCents(Math.max(toCents(this.totalPrice) - toCents(this.giftCardAmount), 0));
+};
+
+// Part of the card charge that has not been refunded through the provider
+orderSchema.methods.getCardRefundableAmount = function() {
+  return fromCents(Math.max(toCents(this.getAmountDue()) - toCents(this.amountRefunded), 0));
+};
+
+// Part of the gift card payment not yet given back to the cards
+orderSchema.methods.getGiftCardRefundableAmount = function() {
+  return fromCents(Math.max(toCents(this.giftCardAmount) - toCents(this.giftCardRefunded), 0));
+};
+
+// Amount that has not been refunded yet, by card or to gift cards
+orderSchema.methods.getRefundableAmount = function() {
+  return fromCents(toCents(this.getCardRefundableAmount()) + toCents(this.getGiftCardRefundableAmount()));
+};
+
+// Amount refunded so far, by card and to gift cards
+orderSchema.methods.getTotalRefunded = function() {
+  return fromCents(toCents(this.amountRefunded) + toCents(this.giftCardRefunded));
+};
+
+// Split a refund between the card charge and the gift cards in proportion
+// to what is left of each, so partial refunds follow how the order was paid
+orderSchema.methods.splitRefund = function(amount) {
+  const cardCents = toCents(this.getCardRefundableAmount());
+  const giftCardCents = toCents(this.getGiftCardRefundableAmount());
+  const totalCents = cardCents + giftCardCents;
+  const amountCents = Math.min(toCents(amount), totalCents);
+  const giftCardShare = totalCents > 0 ? roundHalfUp(amountCents * giftCardCents / totalCents) : 0;
+  return { card: fromCents(amountCents - giftCardShare), giftCard: fromCents(giftCardShare) };
+};
+
+// Add or update a provider refund. Refunds that failed or were canceled
+// do not count towards amountRefunded.
+orderSchema.methods.recordRefund = function(refund) {
+  const existing = refund.stripeRefundId
+    && this.refunds.find(r => r.stripeRefundId === refund.stripeRefundId);
+  if (existing) {
+    existing.set(refund);
+  } else {
+    this.refunds.push(refund);
+  }
+
+  const refunded = sumCents(this.refunds
+    .filter(r => !['failed', 'canceled'].includes(r.status))
+    .map(r => toCents(r.amount)));
+  this.amountRefunded = fromCents(refunded);
+};
+
+// Move the order to refunded or partially_refunded to match what has been
+// refunded. Gift card balances are restored with the order's session, so
+// save the order in the same transaction.
+orderSchema.methods.syncRefundStatus = async function(options = {}) {
+  if (!(this.getTotalRefunded() > 0)) return;
+
+  // A full refund of the card charge, e.g. from the Stripe dashboard, also
+  // gives back the gift cards
+  const cardRefunded = this.getAmountDue() > 0 && this.getCardRefundableAmount() === 0;
+  const target = cardRefunded || this.getRefundableAmount() === 0 ? 'refunded' : 'partially_refunded';
+  if (target !== this.status && this.canTransitionTo(target)) {
+    await this.transitionTo(target, options);
+  }
+
+  // A full refund returns spent points, before earned points are taken
+  // back in proportion to the refund
+  if (this.status === 'refunded') {
+    await LoyaltyTransaction.restoreForOrder(this, options.session);
+    await GiftCard.restoreForOrder(this, options.session);
+    await GiftCard.voidForOrder(this, options.session);
+  }
+  await LoyaltyTransaction.reverseForOrder(this, options.session);
 };
 
 // Get order summary
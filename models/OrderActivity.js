@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Append-only log of what happened to an order: staff notes, field edits,
+// emails and payment events. Status changes live in Order.statusHistory.
+const orderActivitySchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['note', 'field_change', 'email', 'payment', 'fulfillment', 'return', 'system']
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  changes: [{
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Entries are never changed or removed once written
+const rejectChange = function(next) {
+  next(new Error('Order activity entries are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => orderActivitySchema.pre(operation, rejectChange));
+orderActivitySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Order activity entries are append-only'));
+  }
+  next();
+});
+
+// Record an activity. Logging never fails the request that triggered it.
+orderActivitySchema.statics.log = async function(entry, session = null) {
+  try {
+    const [activity] = await this.create([entry], { session });
+    return activity;
+  } catch (error) {
+    console.error('Order activity log error:', error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('OrderActivity', orderActivitySchema);
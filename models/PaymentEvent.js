@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Every webhook event received from Stripe. The unique event id makes
+// replayed deliveries a no-op once an event has been processed.
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Id of the PaymentIntent, charge or refund the event is about
+  objectId: {
+    type: String,
+    index: true
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  livemode: {
+    type: Boolean
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Record a delivery. Returns the stored event and whether it was already
+// handled, in which case the caller should skip it.
+paymentEventSchema.statics.receive = async function(event) {
+  const stored = await this.findOneAndUpdate(
+    { eventId: event.id },
+    {
+      $setOnInsert: {
+        eventId: event.id,
+        type: event.type,
+        objectId: event.data && event.data.object && event.data.object.id,
+        livemode: event.livemode,
+        payload: event.data && event.data.object
+      },
+      $inc: { attempts: 1 }
+    },
+    { upsert: true, new: true }
+  );
+  return { stored, duplicate: ['processed', 'ignored'].includes(stored.status) };
+};
+
+// Mark the outcome of handling an event
+paymentEventSchema.methods.finish = function(status, { order = null, error = null } = {}) {
+  this.status = status;
+  if (order) this.order = order;
+  this.error = error || undefined;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -1,4 +1,26 @@
 const mongoose = require('mongoose');
+const { convertAmount } = require('../utils/currency');
+const { money, moneySchemaOptions, moneyUnitField, toCents, fromCents, percentOf } = require('../utils/money');
+
+const AVAILABILITY_MODES = ['in_stock', 'preorder', 'backorder'];
+const PRODUCT_TYPES = ['standard', 'gift_card'];
+
+// How a product or variant sells: from stock, ahead of its release date
+// (preorder) or beyond stock until a restock (backorder). `cap` is the
+// number of units that can still be ordered without stock; unset for no cap.
+const availabilityFields = defaultMode => ({
+  mode: {
+    type: String,
+    enum: AVAILABILITY_MODES,
+    default: defaultMode
+  },
+  releaseDate: Date,
+  expectedDate: Date,
+  cap: {
+    type: Number,
+    min: 0
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -11,16 +33,35 @@ const productSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please enter product description']
   },
-  price: {
-    type: Number,
+  // Gift cards are digital: no stock, and paying for one issues a card
+  // worth its price
+  productType: {
+    type: String,
+    enum: PRODUCT_TYPES,
+    default: 'standard'
+  },
+  price: money({
     required: [true, 'Please enter product price'],
     maxLength: [5, 'Price cannot exceed 5 characters'],
     default: 0.0
-  },
-  compareAtPrice: {
-    type: Number,
+  }),
+  compareAtPrice: money({
     default: 0.0
-  },
+  }),
+  // Fixed prices in other currencies; others are converted from `price`
+  prices: [{
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    price: money({
+      required: true,
+      min: 0
+    }),
+    compareAtPrice: money()
+  }],
   images: [{
     public_id: {
       type: String,
@@ -91,10 +132,12 @@ const productSchema = new mongoose.Schema({
     color: String,
     size: String,
     sku: String,
-    price: Number,
-    compareAtPrice: Number,
+    price: money(),
+    compareAtPrice: money(),
     stock: Number,
-    images: [{ public_id: String, url: String }]
+    images: [{ public_id: String, url: String }],
+    // Overrides the product availability when a mode is set
+    availability: availabilityFields(undefined)
   }],
   stock: {
     type: Number,
@@ -180,6 +223,7 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  availability: availabilityFields('in_stock'),
   isOnSale: {
     type: Boolean,
     default: false
@@ -217,9 +261,11 @@ const productSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  moneyUnit: moneyUnitField
 }, {
-  timestamps: true
+  timestamps: true,
+  ...moneySchemaOptions
 });
 
 // Index for search functionality
@@ -257,11 +303,28 @@ productSchema.methods.isInStock = function(color = null, size = null) {
 // Get sale price
 productSchema.methods.getSalePrice = function() {
   if (this.isOnSale && this.salePercentage > 0) {
-    return this.price * (1 - this.salePercentage / 100);
+    const cents = toCents(this.price);
+    return fromCents(cents - percentOf(cents, this.salePercentage));
   }
   return this.price;
 };
 
+// Price in the currency of an exchange rate, using a fixed price for that
+// currency when one is set
+productSchema.methods.getPriceIn = function(rate) {
+  const override = this.prices && this.prices.find(p => p.currency === rate.currency);
+  if (override) {
+    return {
+      price: override.price,
+      compareAtPrice: override.compareAtPrice !== undefined ? override.compareAtPrice : convertAmount(this.compareAtPrice, rate)
+    };
+  }
+  return {
+    price: convertAmount(this.price, rate),
+    compareAtPrice: convertAmount(this.compareAtPrice, rate)
+  };
+};
+
 // Update stock
 productSchema.methods.updateStock = function(quantity, color = null, size = null) {
   if (color && size) {
@@ -278,4 +341,179 @@ productSchema.methods.updateStock = function(quantity, color = null, size = null
   }
 };
 
+// Find the variant for a color/size combination
+productSchema.methods.findVariant = function(color = null, size = null) {
+  if (!color || !size) return null;
+  return this.variants.find(v => v.color === color && v.size === size) || null;
+};
+
+// Effective availability of the product or of a color/size variant.
+// Variants follow the product unless they set their own mode.
+productSchema.methods.getAvailability = function(color = null, size = null) {
+  if (this.productType === 'gift_card') {
+    return { mode: 'in_stock', stock: Infinity, cap: null, orderable: Infinity, capPath: 'availability.cap' };
+  }
+  const variant = this.findVariant(color, size);
+  const ownMode = variant && variant.availability && variant.availability.mode;
+  const source = ownMode ? variant.availability : (this.availability || {});
+  const mode = source.mode || 'in_stock';
+  const stock = Math.max((variant ? variant.stock : this.stock) || 0, 0);
+  const cap = source.cap !== undefined && source.cap !== null ? source.cap : null;
+
+  // Units that can be ordered right now
+  let orderable = stock;
+  if (mode === 'preorder') orderable = cap === null ? Infinity : cap;
+  if (mode === 'backorder') orderable = cap === null ? Infinity : stock + cap;
+
+  return {
+    mode,
+    stock,
+    cap,
+    orderable,
+    releaseDate: mode === 'preorder' ? source.releaseDate : undefined,
+    expectedDate: mode === 'backorder' ? source.expectedDate : undefined,
+    capPath: ownMode ? 'variants.$.availability.cap' : 'availability.cap'
+  };
+};
+
+// Filter and update that take `quantity` units from the product or variant
+// stock, and `held` units from the pre/backorder cap when there is one.
+// The update is null when there is nothing to take. Stock is left alone
+// when `quantity` is 0: BSON stores -0 as a double.
+const stockChange = (product, variant, quantity, held = 0, availability = null) => {
+  const variantMatch = variant ? { _id: variant._id } : null;
+  const filter = { _id: product._id };
+  const update = { $inc: {} };
+  if (quantity > 0) {
+    (variantMatch || filter).stock = { $gte: quantity };
+    update.$inc[variant ? 'variants.$.stock' : 'stock'] = -quantity;
+  }
+
+  if (held > 0 && availability && availability.cap !== null) {
+    if (availability.capPath.startsWith('variants.')) {
+      variantMatch['availability.cap'] = { $gte: held };
+    } else {
+      filter['availability.cap'] = { $gte: held };
+    }
+    update.$inc[availability.capPath] = -held;
+  }
+  if (variantMatch) filter.variants = { $elemMatch: variantMatch };
+  return { filter, update: Object.keys(update.$inc).length > 0 ? update : null };
+};
+
+// Atomically decrement stock for order items. Lines with a matching
+// variant draw from the variant stock, otherwise from the product stock.
+// Preorder lines are held in full and backorder lines take what stock there
+// is and hold the rest; both are marked on the item (`availability`,
+// `heldQuantity`, `expectedDate`) and count against the cap.
+// Returns the lines that could not be reserved; callers should abort the
+// surrounding transaction when the list is not empty.
+productSchema.statics.reserveStock = async function(items, session = null) {
+  const shortages = [];
+
+  for (const item of items) {
+    const product = await this.findById(item.product).session(session);
+    if (!product || !product.isActive) {
+      shortages.push({
+        product: item.product,
+        name: item.name,
+        color: item.color,
+        size: item.size,
+        requested: item.quantity,
+        available: 0,
+        message: 'Product is not available'
+      });
+      continue;
+    }
+    if (product.productType === 'gift_card') continue;
+
+    // Products with variants only sell the combinations they list
+    const variant = product.findVariant(item.color, item.size);
+    if (product.variants.length > 0 && !variant) {
+      shortages.push({
+        product: product._id,
+        name: product.name,
+        color: item.color,
+        size: item.size,
+        requested: item.quantity,
+        available: 0,
+        message: 'Not available in that color and size'
+      });
+      continue;
+    }
+    const availability = product.getAvailability(item.color, item.size);
+    const fromStock = availability.mode === 'in_stock' ? item.quantity
+      : availability.mode === 'backorder' ? Math.min(availability.stock, item.quantity)
+        : 0;
+    const held = item.quantity - fromStock;
+
+    // Uncapped pre/backorders with no stock to take change nothing
+    const { filter, update } = stockChange(product, variant, fromStock, held, availability);
+    const result = update ? await this.updateOne(filter, update, { session }) : { matchedCount: 1 };
+    if (result.matchedCount === 0) {
+      const current = await this.findById(product._id).session(session);
+      const available = current ? current.getAvailability(item.color, item.size).orderable : 0;
+      shortages.push({
+        product: product._id,
+        name: product.name,
+        color: item.color,
+        size: item.size,
+        requested: item.quantity,
+        available,
+        message: availability.mode === 'in_stock'
+          ? `Only ${available} left in stock`
+          : `Only ${available} available to ${availability.mode === 'preorder' ? 'pre-order' : 'backorder'}`
+      });
+      continue;
+    }
+
+    if (held > 0) {
+      item.availability = availability.mode;
+      item.heldQuantity = held;
+      item.expectedDate = availability.releaseDate || availability.expectedDate;
+    }
+  }
+
+  return shortages;
+};
+
+// Take up to `quantity` units from stock for a held order line. Returns
+// the number of units taken.
+productSchema.statics.takeStock = async function(item, quantity, session = null) {
+  const product = await this.findById(item.product).session(session);
+  if (!product) return 0;
+  const variant = product.findVariant(item.color, item.size);
+  if (product.variants.length > 0 && !variant) return 0;
+  const available = Math.max((variant ? variant.stock : product.stock) || 0, 0);
+  const take = Math.min(available, quantity);
+  if (take <= 0) return 0;
+
+  const { filter, update } = stockChange(product, variant, take);
+  const result = await this.updateOne(filter, update, { session });
+  return result.matchedCount === 0 ? 0 : take;
+};
+
+// Return stock for cancelled or returned items. Units still held for a
+// pre/backorder never left stock, so they go back to the cap instead.
+productSchema.statics.releaseStock = async function(items, session = null) {
+  for (const item of items) {
+    const product = await this.findById(item.product).session(session);
+    if (!product || product.productType === 'gift_card') continue;
+
+    const variant = product.findVariant(item.color, item.size);
+    const held = item.heldQuantity || 0;
+    const fromStock = item.quantity - held;
+    const inc = variant ? { 'variants.$.stock': fromStock } : { stock: fromStock };
+    if (held > 0) {
+      const availability = product.getAvailability(item.color, item.size);
+      if (availability.cap !== null) inc[availability.capPath] = held;
+    }
+    const filter = variant ? { _id: product._id, 'variants._id': variant._id } : { _id: product._id };
+    await this.updateOne(filter, { $inc: inc }, { session });
+  }
+};
+
+productSchema.statics.AVAILABILITY_MODES = AVAILABILITY_MODES;
+productSchema.statics.PRODUCT_TYPES = PRODUCT_TYPES;
+
 module.exports = mongoose.model('Product', productSchema); 
\ No newline at end of file
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { money, moneySchemaOptions, moneyUnitField, toCents, fromCents, sumCents, roundHalfUp } = require('../utils/money');
+
+const returnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    price: money({
+      required: true
+    }),
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    color: {
+      type: String
+    },
+    size: {
+      type: String
+    },
+    sku: {
+      type: String
+    },
+    reason: {
+      type: String
+    },
+    restock: {
+      type: Boolean,
+      default: true
+    },
+    restocked: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  reason: {
+    type: String,
+    required: [true, 'Return reason is required']
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+    default: 'requested'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }
+  }],
+  refund: {
+    itemsAmount: money({
+      default: 0
+    }),
+    taxAmount: money({
+      default: 0
+    }),
+    discountAmount: money({
+      default: 0
+    }),
+    amount: money({
+      default: 0
+    })
+  },
+  adminNote: {
+    type: String
+  },
+  receivedAt: {
+    type: Date
+  },
+  moneyUnit: moneyUnitField
+}, {
+  timestamps: true,
+  ...moneySchemaOptions
+});
+
+// Allowed return status changes
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  rejected: [],
+  received: ['refunded'],
+  refunded: []
+};
+
+// Generate return number
+returnSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.returnNumber) {
+    const seq = await Counter.next('returnNumber', this.$session());
+    this.returnNumber = `RMA${seq.toString().padStart(6, '0')}`;
+  }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, timestamp: new Date(), changedBy: this.user });
+  }
+  next();
+});
+
+// Reason why the return cannot move to `newStatus`, or null if it can
+returnSchema.methods.getTransitionError = function(newStatus) {
+  if (!(RETURN_TRANSITIONS[this.status] || []).includes(newStatus)) {
+    return `Return cannot move from ${this.status} to ${newStatus}`;
+  }
+  return null;
+};
+
+// Change the return status and record it in the history
+returnSchema.methods.updateStatus = function(newStatus, note = '', changedBy = null) {
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    timestamp: new Date(),
+    note,
+    changedBy
+  });
+  if (newStatus === 'received') {
+    this.receivedAt = new Date();
+  }
+};
+
+// Refund for the returned lines, including their share of the order's tax
+// and discount, computed in cents. Shipping is not refunded.
+returnSchema.methods.calculateRefund = function(order) {
+  const itemsCents = sumCents(this.items.map(item => toCents(item.price) * item.quantity));
+  const orderItemsCents = toCents(order.itemsPrice) || 0;
+  const shareOf = cents => (orderItemsCents > 0 ? roundHalfUp((cents || 0) * itemsCents / orderItemsCents) : 0);
+  const taxCents = shareOf(toCents(order.taxPrice));
+  const discountCents = shareOf(toCents(order.discountAmount));
+
+  this.refund = {
+    itemsAmount: fromCents(itemsCents),
+    taxAmount: fromCents(taxCents),
+    discountAmount: fromCents(discountCents),
+    amount: fromCents(Math.max(itemsCents + taxCents - discountCents, 0))
+  };
+  return this.refund;
+};
+
+// Quantities already in open or completed returns, keyed by order item id
+returnSchema.statics.getReturnedQuantities = async function(orderId, session = null) {
+  const returns = await this.find({ order: orderId, status: { $ne: 'rejected' } }).session(session);
+  const quantities = {};
+  returns.forEach(ret => {
+    ret.items.forEach(item => {
+      const key = item.orderItem.toString();
+      quantities[key] = (quantities[key] || 0) + item.quantity;
+    });
+  });
+  return quantities;
+};
+
+// Build return lines from the requested order items. Returns { items } or
+// { error } when a line is invalid or more than was purchased is returned.
+// Gift cards cannot be returned: the card issued for the line stays usable.
+returnSchema.statics.buildItems = async function(order, items) {
+  const returned = await this.getReturnedQuantities(order._id);
+  const requested = {};
+  const returnItems = [];
+
+  for (const entry of items) {
+    const orderItem = entry && order.items.id(entry.orderItem);
+    if (!orderItem || !Number.isInteger(entry.quantity) || entry.quantity < 1) {
+      return { error: 'One or more return items are invalid' };
+    }
+    if (orderItem.giftCard && orderItem.giftCard.recipientEmail) {
+      return { error: `${orderItem.name} is a gift card and cannot be returned` };
+    }
+    const key = orderItem._id.toString();
+    requested[key] = (requested[key] || 0) + entry.quantity;
+    if (requested[key] + (returned[key] || 0) > orderItem.quantity) {
+      return { error: `Return quantity for ${orderItem.name} exceeds the quantity purchased` };
+    }
+    returnItems.push({
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      name: orderItem.name,
+      price: orderItem.price,
+      quantity: entry.quantity,
+      color: orderItem.color,
+      size: orderItem.size,
+      sku: orderItem.sku,
+      reason: entry.reason
+    });
+  }
+
+  return { items: returnItems };
+};
+
+module.exports = mongoose.model('Return', returnSchema);
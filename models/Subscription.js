@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY } = require('../utils/currency');
+
+const FREQUENCIES = [1, 2, 3];
+
+// Add whole months, keeping the day where the target month allows it
+// (Jan 31 + 1 month -> Feb 28)
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Recurring "replenish" order. The scheduler places an order from `items`
+// every `frequencyMonths` and charges the saved card off-session.
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    color: {
+      type: String
+    },
+    size: {
+      type: String
+    }
+  }],
+  frequencyMonths: {
+    type: Number,
+    required: true,
+    enum: FREQUENCIES
+  },
+  // Id of an entry in User.paymentMethods
+  paymentMethod: {
+    type: mongoose.Schema.ObjectId,
+    required: true
+  },
+  shippingAddress: {
+    name: {
+      type: String,
+      required: true
+    },
+    address: {
+      type: String,
+      required: true
+    },
+    city: {
+      type: String,
+      required: true
+    },
+    state: {
+      type: String,
+      required: true
+    },
+    zipCode: {
+      type: String,
+      required: true
+    },
+    country: {
+      type: String,
+      required: true,
+      default: 'USA'
+    },
+    phone: {
+      type: String,
+      required: true
+    }
+  },
+  currency: {
+    type: String,
+    default: BASE_CURRENCY
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'past_due', 'cancelled'],
+    default: 'active',
+    index: true
+  },
+  nextOrderDate: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  // Paused subscriptions resume on this date, if set
+  resumeAt: {
+    type: Date
+  },
+  // Order awaiting a successful charge while past due
+  pendingOrder: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order'
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  nextRetryAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  lastOrder: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order'
+  },
+  lastOrderDate: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.statics.FREQUENCIES = FREQUENCIES;
+subscriptionSchema.statics.addMonths = addMonths;
+
+// Move the next order date forward by one cycle
+subscriptionSchema.methods.advance = function() {
+  this.nextOrderDate = addMonths(this.nextOrderDate, this.frequencyMonths);
+};
+
+// Skip the next delivery
+subscriptionSchema.methods.skip = function() {
+  this.advance();
+};
+
+// Change the cadence; the next order date moves with it, but never into
+// the past
+subscriptionSchema.methods.setFrequency = function(frequencyMonths) {
+  const from = this.lastOrderDate || this.createdAt || new Date();
+  const next = addMonths(from, frequencyMonths);
+  this.frequencyMonths = frequencyMonths;
+  this.nextOrderDate = next > new Date() ? next : new Date();
+};
+
+subscriptionSchema.methods.pause = function(resumeAt = null) {
+  this.status = 'paused';
+  this.resumeAt = resumeAt;
+};
+
+// Resume, catching up past order dates to the next one due
+subscriptionSchema.methods.resume = function() {
+  this.status = 'active';
+  this.resumeAt = undefined;
+  const now = new Date();
+  while (this.nextOrderDate < now) {
+    this.advance();
+  }
+};
+
+subscriptionSchema.methods.cancel = function(reason = '') {
+  this.status = 'cancelled';
+  this.cancelledAt = new Date();
+  this.cancelReason = reason;
+  this.nextRetryAt = undefined;
+};
+
+// Saved card to charge, from the user's payment methods
+subscriptionSchema.methods.getPaymentMethod = function(user) {
+  return user && user.paymentMethods.id(this.paymentMethod);
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
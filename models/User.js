@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { fromCents } = require('../utils/money');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -180,7 +181,7 @@ const userSchema = new mongoose.Schema({
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   this.password = await bcrypt.hash(this.password, 12);
 });
@@ -223,4 +224,38 @@ userSchema.methods.updateOrderStats = function(orderTotal) {
   this.updateMemberTier();
 };
 
+// Recalculate order statistics and tier from the user's orders. Unpaid,
+// cancelled and refunded amounts do not count.
+userSchema.methods.recalculateOrderStats = async function() {
+  const Order = mongoose.model('Order');
+  const [stats] = await Order.aggregate([
+    {
+      $match: {
+        user: this._id,
+        status: { $nin: ['pending', 'on_hold', 'cancelled', 'refunded'] }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalOrders: { $sum: 1 },
+        // Orders in other currencies count at their base currency value.
+        // Order amounts are stored in cents.
+        totalSpent: {
+          $sum: {
+            $divide: [
+              { $subtract: ['$totalPrice', { $add: [{ $ifNull: ['$amountRefunded', 0] }, { $ifNull: ['$giftCardRefunded', 0] }] }] },
+              { $ifNull: ['$exchangeRate', 1] }
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  this.totalOrders = stats ? stats.totalOrders : 0;
+  this.totalSpent = stats ? fromCents(Math.round(stats.totalSpent)) : 0;
+  this.updateMemberTier();
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -3,13 +3,21 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const OrderActivity = require('../models/OrderActivity');
 const Review = require('../models/Review');
 const Blog = require('../models/Blog');
+const ExchangeRate = require('../models/ExchangeRate');
+const GiftCard = require('../models/GiftCard');
 const sendEmail = require('../utils/sendEmail');
 const { protect, authorize } = require('../middleware/auth');
 const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const cloudinary = require('../utils/cloudinary');
+const withTransaction = require('../utils/transaction');
+const { getJobs, runJob } = require('../utils/jobRunner');
+const { issueAndSend, deliverOrderGiftCards } = require('../utils/deliverGiftCards');
+const { BASE_CURRENCY, getRate, currencyDecimals, isValidDecimals, parseRatesImport } = require('../utils/currency');
+const { fromCents } = require('../utils/money');
 const upload = multer({ storage: multer.memoryStorage() });
 
 const router = express.Router();
@@ -43,7 +51,11 @@ router.get('/dashboard', adminOnly, async (req, res) => {
     const userCount = await User.countDocuments();
     const productCount = await Product.countDocuments();
     const orderCount = await Order.countDocuments();
-    const sales = await Order.aggregate([{ $group: { _id: null, total: { $sum: '$totalPrice' } } }]);
+    // Sales count placed orders net of refunds, at their base currency value
+    const sales = await Order.aggregate([
+      { $match: { status: { $nin: ['pending', 'on_hold', 'cancelled', 'refunded'] } } },
+      { $group: { _id: null, total: { $sum: { $divide: [{ $subtract: ['$totalPrice', { $add: [{ $ifNull: ['$amountRefunded', 0] }, { $ifNull: ['$giftCardRefunded', 0] }] }] }, { $ifNull: ['$exchangeRate', 1] }] } } } }
+    ]);
     const reviewCount = await Review.countDocuments();
     const blogCount = await Blog.countDocuments();
     res.status(200).json({
@@ -52,7 +64,8 @@ router.get('/dashboard', adminOnly, async (req, res) => {
         users: userCount,
         products: productCount,
         orders: orderCount,
-        sales: sales[0]?.total || 0,
+        // Aggregates read the raw amounts, which are stored in cents
+        sales: fromCents(Math.round(sales[0]?.total || 0)),
         reviews: reviewCount,
         blogs: blogCount
       }
@@ -143,11 +156,24 @@ router.post('/products', adminOnly, async (req, res) => {
 router.put('/products/:id', adminOnly, async (req, res) => {
   try {
     const product = await Product.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    res.status(200).json({ success: true, product });
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+    const allocated = await Order.allocateHeldStock(product._id, req.user.id);
+    res.status(200).json({ success: true, product, allocated });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Error updating product' });
   }
 });
+// Release stock to waiting pre-orders and backorders, oldest first
+router.post('/products/:id/allocate-stock', adminOnly, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+    const allocated = await Order.allocateHeldStock(product._id, req.user.id);
+    res.status(200).json({ success: true, allocated });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error allocating stock' });
+  }
+});
 router.delete('/products/:id', adminOnly, async (req, res) => {
   try {
     await Product.findByIdAndDelete(req.params.id);
@@ -160,30 +186,297 @@ router.delete('/products/:id', adminOnly, async (req, res) => {
 // Order management
 router.get('/orders', adminOnly, async (req, res) => {
   try {
-    const orders = await Order.find().populate('user', 'name email').sort({ createdAt: -1 });
+    const orders = await Order.find().select('+fraudReview').populate('user', 'name email').sort({ createdAt: -1 });
     res.status(200).json({ success: true, orders });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Error fetching orders' });
   }
 });
+// Fields admins may edit directly; money, payment and status fields only
+// change through their own flows
+const EDITABLE_ORDER_FIELDS = ['shippingAddress', 'billingAddress', 'shippingInfo', 'notes', 'isGift', 'giftMessage', 'estimatedDeliveryDate'];
 router.put('/orders/:id', adminOnly, async (req, res) => {
   try {
-    const order = await Order.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const { status, note, ...updates } = req.body;
+    const rejected = Object.keys(updates).filter(field => !EDITABLE_ORDER_FIELDS.includes(field));
+    if (rejected.length) {
+      return res.status(400).json({ success: false, message: `These fields cannot be edited: ${rejected.join(', ')}`, editableFields: EDITABLE_ORDER_FIELDS });
+    }
+
+    // Field edits and the status change commit together or not at all
+    const order = await withTransaction(async (session) => {
+      const current = await Order.findById(req.params.id).session(session);
+      if (!current) return null;
+
+      // Record before/after values for every field the admin touched
+      const toPlain = value => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+      const changes = Object.keys(updates)
+        .map(field => ({ field, before: toPlain(current.get(field)), after: updates[field] }))
+        .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+      current.set(updates);
+      // Status changes go through the order state machine
+      if (status && status !== current.status) {
+        const transitionError = current.getTransitionError(status);
+        if (transitionError) {
+          const error = new Error(transitionError);
+          error.name = 'OrderTransitionError';
+          error.allowedStatuses = current.getNextStatuses();
+          throw error;
+        }
+        await current.transitionTo(status, { note, session, actor: req.user.id });
+      }
+      await current.save({ session });
+      if (changes.length) {
+        await OrderActivity.log({
+          order: current._id,
+          type: 'field_change',
+          message: `Updated ${changes.map(change => change.field).join(', ')}`,
+          actor: req.user.id,
+          changes
+        }, session);
+      }
+      return current;
+    });
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
     res.status(200).json({ success: true, order });
   } catch (error) {
+    if (error.name === 'OrderTransitionError') {
+      return res.status(409).json({ success: false, message: error.message, allowedStatuses: error.allowedStatuses });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     res.status(500).json({ success: false, message: 'Error updating order' });
   }
 });
 router.put('/orders/:id/status', adminOnly, async (req, res) => {
   try {
+    const { status, note } = req.body;
+    const existing = await Order.findById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Order not found' });
+    const transitionError = existing.getTransitionError(status);
+    if (transitionError) {
+      return res.status(409).json({ success: false, message: transitionError, allowedStatuses: existing.getNextStatuses() });
+    }
+    const order = await Order.transition(existing._id, status, { note, actor: req.user.id });
+    res.status(200).json({ success: true, order });
+  } catch (error) {
+    if (error.name === 'OrderTransitionError') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Error updating order status' });
+  }
+});
+
+// Fraud review of orders held at checkout
+router.put('/orders/:id/fraud-review/approve', adminOnly, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('+fraudReview');
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    if (order.status !== 'on_hold') {
+      return res.status(409).json({ success: false, message: 'Order is not on hold' });
+    }
+    order.fraudReview = {
+      ...(order.fraudReview ? order.fraudReview.toObject() : {}),
+      status: 'approved',
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+      note: req.body.note
+    };
+    await order.transitionTo('pending', { note: req.body.note || 'Fraud review approved', actor: req.user.id });
+    // Payment that succeeded while the order was held (or gift cards that
+    // paid it in full) will not move it again, so it goes on to processing
+    const paid = order.paymentInfo.status === 'succeeded' && order.paymentInfo.failureCode !== 'amount_mismatch';
+    if (paid) await order.transitionTo('processing', { note: 'Paid while held for fraud review', actor: req.user.id });
+    await order.save();
+    if (paid) {
+      await deliverOrderGiftCards(order).catch(error => console.error('Fraud review: gift card delivery failed for', order.orderNumber, error.message));
+    }
+    res.status(200).json({ success: true, order });
+  } catch (error) {
+    if (error.name === 'OrderTransitionError') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Error approving order' });
+  }
+});
+router.put('/orders/:id/fraud-review/reject', adminOnly, [
+  body('note').trim().notEmpty().withMessage('A reason for the rejection is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+    // Cancelling releases the reserved stock in the same transaction
+    const order = await withTransaction(async (session) => {
+      const current = await Order.findById(req.params.id).select('+fraudReview').session(session);
+      if (!current) return null;
+      if (current.status !== 'on_hold') {
+        const error = new Error('Order is not on hold');
+        error.name = 'OrderTransitionError';
+        throw error;
+      }
+      current.fraudReview = {
+        ...(current.fraudReview ? current.fraudReview.toObject() : {}),
+        status: 'rejected',
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        note: req.body.note
+      };
+      await current.transitionTo('cancelled', { note: `Rejected in fraud review: ${req.body.note}`, session, actor: req.user.id });
+      await current.save({ session });
+      return current;
+    });
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    res.status(200).json({ success: true, order });
+  } catch (error) {
+    if (error.name === 'OrderTransitionError') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Error rejecting order' });
+  }
+});
+
+// Order fulfillments (packages)
+router.get('/orders/:id/fulfillments', adminOnly, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    const unfulfilled = order.items.map(item => ({
+      orderItem: item._id,
+      name: item.name,
+      quantity: order.getUnfulfilledQuantity(item._id),
+      shippable: order.getShippableQuantity(item._id),
+      held: item.heldQuantity,
+      expectedDate: item.expectedDate
+    }));
+    res.status(200).json({ success: true, packages: order.getPackages(), unfulfilled });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching fulfillments' });
+  }
+});
+router.post('/orders/:id/fulfillments', adminOnly, async (req, res) => {
+  try {
+    const { items, carrier, trackingNumber, trackingUrl, status = 'pending' } = req.body;
     const order = await Order.findById(req.params.id);
     if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
-    order.status = req.body.status;
-    order.statusHistory.push({ status: req.body.status, timestamp: new Date(), note: req.body.note });
+    if (!['processing', 'partially_shipped'].includes(order.status)) {
+      return res.status(409).json({ success: false, message: `Cannot add packages to a ${order.status} order` });
+    }
+    if (!['pending', 'shipped'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid package status' });
+    }
+    const fulfillmentError = order.getFulfillmentError(items);
+    if (fulfillmentError) return res.status(400).json({ success: false, message: fulfillmentError });
+
+    order.fulfillments.push({
+      items: items.map(entry => ({ orderItem: entry.orderItem, quantity: entry.quantity })),
+      carrier,
+      trackingNumber,
+      trackingUrl,
+      status,
+      shippedAt: status === 'shipped' ? new Date() : undefined,
+      createdBy: req.user.id
+    });
+    await order.syncFulfillmentStatus({ note: 'Package shipped', actor: req.user.id });
     await order.save();
+    const fulfillment = order.fulfillments[order.fulfillments.length - 1];
+    await OrderActivity.log({
+      order: order._id,
+      type: 'fulfillment',
+      message: `Package ${fulfillment.trackingNumber || fulfillment._id} created (${fulfillment.status})`,
+      actor: req.user.id,
+      metadata: { fulfillment: fulfillment._id, items: items.length }
+    });
+    res.status(201).json({ success: true, order });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error creating fulfillment' });
+  }
+});
+router.put('/orders/:id/fulfillments/:fulfillmentId', adminOnly, async (req, res) => {
+  try {
+    const { carrier, trackingNumber, trackingUrl, status } = req.body;
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    const fulfillment = order.fulfillments.id(req.params.fulfillmentId);
+    if (!fulfillment) return res.status(404).json({ success: false, message: 'Package not found' });
+
+    const before = { carrier: fulfillment.carrier, trackingNumber: fulfillment.trackingNumber, trackingUrl: fulfillment.trackingUrl, status: fulfillment.status };
+    if (carrier !== undefined) fulfillment.carrier = carrier;
+    if (trackingNumber !== undefined) fulfillment.trackingNumber = trackingNumber;
+    if (trackingUrl !== undefined) fulfillment.trackingUrl = trackingUrl;
+    if (status && status !== fulfillment.status) {
+      const packageStatuses = ['pending', 'shipped', 'delivered'];
+      if (!packageStatuses.includes(status)) {
+        return res.status(400).json({ success: false, message: 'Invalid package status' });
+      }
+      if (packageStatuses.indexOf(status) < packageStatuses.indexOf(fulfillment.status)) {
+        return res.status(409).json({ success: false, message: `Package cannot move from ${fulfillment.status} to ${status}` });
+      }
+      fulfillment.status = status;
+      if (!fulfillment.shippedAt) fulfillment.shippedAt = new Date();
+      if (status === 'delivered') fulfillment.deliveredAt = new Date();
+    }
+    await order.syncFulfillmentStatus({ note: `Package ${fulfillment.trackingNumber || fulfillment._id} ${fulfillment.status}`, actor: req.user.id });
+    await order.save();
+    const changes = Object.keys(before)
+      .filter(field => before[field] !== fulfillment[field])
+      .map(field => ({ field: `fulfillments.${field}`, before: before[field], after: fulfillment[field] }));
+    if (changes.length) {
+      await OrderActivity.log({
+        order: order._id,
+        type: 'fulfillment',
+        message: `Package ${fulfillment.trackingNumber || fulfillment._id} updated`,
+        actor: req.user.id,
+        changes,
+        metadata: { fulfillment: fulfillment._id }
+      });
+    }
     res.status(200).json({ success: true, order });
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Error updating order status' });
+    res.status(500).json({ success: false, message: 'Error updating fulfillment' });
+  }
+});
+
+// Order notes and activity timeline
+router.post('/orders/:id/notes', adminOnly, [
+  body('message').trim().notEmpty().withMessage('Note message is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+    const order = await Order.findById(req.params.id).select('_id');
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    const activity = await OrderActivity.create({
+      order: order._id,
+      type: 'note',
+      message: req.body.message,
+      actor: req.user.id
+    });
+    await activity.populate('actor', 'name email');
+    res.status(201).json({ success: true, activity });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error adding note' });
+  }
+});
+router.get('/orders/:id/timeline', adminOnly, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('statusHistory').populate('statusHistory.changedBy', 'name email');
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    const activities = await OrderActivity.find({ order: order._id }).populate('actor', 'name email').lean();
+    const statusEntries = order.statusHistory.map(entry => ({
+      _id: entry._id,
+      type: 'status',
+      message: entry.note || `Status changed to ${entry.status}`,
+      status: entry.status,
+      actor: entry.changedBy || null,
+      createdAt: entry.timestamp
+    }));
+    const timeline = [...activities, ...statusEntries]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    res.status(200).json({ success: true, timeline });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching order timeline' });
   }
 });
 
@@ -198,6 +491,156 @@ router.get('/orders/:id/tracking', adminOnly, async (req, res) => {
   }
 });
 
+// Exchange rates
+router.get('/exchange-rates', adminOnly, async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 });
+    res.status(200).json({ success: true, baseCurrency: BASE_CURRENCY, rates });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching exchange rates' });
+  }
+});
+router.put('/exchange-rates/:currency', adminOnly, [
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+  body('decimals').optional().isInt({ min: 0, max: 2 }).withMessage('Decimals must be between 0 and 2'),
+  body('roundingIncrement').optional().isFloat({ min: 0 }).withMessage('Rounding increment cannot be negative'),
+  body('roundingMode').optional().isIn(['nearest', 'up', 'down']).withMessage('Rounding mode must be nearest, up or down'),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+    const currency = req.params.currency.toUpperCase();
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({ success: false, message: `${BASE_CURRENCY} is the base currency` });
+    }
+    const { rate, decimals, roundingIncrement, roundingMode, isActive } = req.body;
+    if (decimals !== undefined && !isValidDecimals(currency, Number(decimals))) {
+      return res.status(400).json({ success: false, message: `${currency} amounts have at most ${currencyDecimals(currency)} decimals` });
+    }
+    const update = { rate, source: 'manual', updatedBy: req.user.id };
+    if (decimals !== undefined) update.decimals = decimals;
+    if (roundingIncrement !== undefined) update.roundingIncrement = roundingIncrement;
+    if (roundingMode !== undefined) update.roundingMode = roundingMode;
+    if (isActive !== undefined) update.isActive = isActive;
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    res.status(200).json({ success: true, rate: exchangeRate });
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ success: false, message: error.message });
+    res.status(500).json({ success: false, message: 'Error updating exchange rate' });
+  }
+});
+// Body: { data: "EUR,0.92\nGBP,0.79,2,0.05,up" } or a JSON rate map/array
+router.post('/exchange-rates/import', adminOnly, async (req, res) => {
+  try {
+    let parsed;
+    try {
+      parsed = parseRatesImport(req.body.data !== undefined ? req.body.data : req.body);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, message: 'Import data is not valid JSON or CSV' });
+    }
+    const { rates, errors } = parsed;
+    if (errors.length > 0) return res.status(400).json({ success: false, message: 'Import has invalid rows', errors });
+    if (rates.length === 0) return res.status(400).json({ success: false, message: 'No rates to import' });
+
+    await ExchangeRate.bulkWrite(rates.map(({ currency, ...fields }) => ({
+      updateOne: {
+        filter: { currency },
+        update: { $set: { ...fields, source: 'import', updatedBy: req.user.id, isActive: true } },
+        upsert: true
+      }
+    })));
+    res.status(200).json({ success: true, imported: rates.length, rates: await ExchangeRate.find().sort({ currency: 1 }) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error importing exchange rates' });
+  }
+});
+
+// Gift cards
+router.get('/gift-cards', adminOnly, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.last4) filter.last4 = String(req.query.last4).toUpperCase();
+    if (req.query.email) filter['recipient.email'] = String(req.query.email).toLowerCase();
+    const giftCards = await GiftCard.find(filter).sort({ createdAt: -1 }).limit(200);
+    res.status(200).json({ success: true, giftCards });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching gift cards' });
+  }
+});
+router.get('/gift-cards/:id', adminOnly, async (req, res) => {
+  try {
+    const giftCard = await GiftCard.findById(req.params.id).populate('ledger.order', 'orderNumber status');
+    if (!giftCard) return res.status(404).json({ success: false, message: 'Gift card not found' });
+    res.status(200).json({ success: true, giftCard });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching gift card' });
+  }
+});
+// Issue a card outside of a purchase (goodwill, prizes) and email the code
+router.post('/gift-cards', adminOnly, [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('recipientEmail').isEmail().withMessage('Valid recipient email required'),
+  body('currency').optional().isString(),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+    const rate = await getRate(req.body.currency || BASE_CURRENCY);
+    if (!rate) return res.status(400).json({ success: false, message: `Currency ${req.body.currency} is not supported` });
+
+    const giftCard = await issueAndSend({
+      amount: req.body.amount,
+      currency: rate.currency,
+      recipient: { name: req.body.recipientName, email: req.body.recipientEmail.toLowerCase() },
+      senderName: req.body.senderName,
+      message: req.body.message,
+      expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : undefined,
+      issuedBy: req.user.id,
+      note: req.body.note || 'Issued by admin'
+    });
+    res.status(201).json({ success: true, giftCard });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error issuing gift card' });
+  }
+});
+router.put('/gift-cards/:id/status', adminOnly, [
+  body('status').isIn(['active', 'disabled']).withMessage('Status must be active or disabled')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+    const giftCard = await GiftCard.findByIdAndUpdate(req.params.id, { status: req.body.status }, { new: true });
+    if (!giftCard) return res.status(404).json({ success: false, message: 'Gift card not found' });
+    res.status(200).json({ success: true, giftCard });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error updating gift card' });
+  }
+});
+
+// Background jobs
+router.get('/jobs', adminOnly, (req, res) => {
+  res.status(200).json({ success: true, jobs: getJobs() });
+});
+router.post('/jobs/:name/run', adminOnly, async (req, res) => {
+  try {
+    if (!getJobs().some(job => job.name === req.params.name)) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const result = await runJob(req.params.name);
+    if (!result) return res.status(409).json({ success: false, message: 'Job is already running' });
+    res.status(200).json({ success: true, result });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error running job' });
+  }
+});
+
 // Review moderation
 router.get('/reviews', adminOnly, async (req, res) => {
   try {
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Order = require('../models/Order');
 const { protect } = require('../middleware/auth');
 const sendEmail = require('../utils/sendEmail');
 const crypto = require('crypto');
@@ -361,11 +362,24 @@ router.get('/verify-email/:token', async (req, res) => {
     user.isEmailVerified = true;
     user.emailVerificationToken = undefined;
     user.emailVerificationExpire = undefined;
+
+    // Link orders placed as a guest with this email, now that we know the
+    // address belongs to this user
+    let claimedOrders = 0;
+    try {
+      claimedOrders = await Order.claimGuestOrders(user);
+      if (claimedOrders > 0) {
+        await user.recalculateOrderStats();
+      }
+    } catch (claimError) {
+      console.error('Email verification: claiming guest orders failed:', claimError);
+    }
     await user.save();
 
     res.status(200).json({
       success: true,
-      message: 'Email verified successfully'
+      message: 'Email verified successfully',
+      claimedOrders
     });
   } catch (error) {
     console.error('Email verification error:', error);
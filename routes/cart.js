@@ -2,7 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const GiftCard = require('../models/GiftCard');
 const { protect } = require('../middleware/auth');
+const { getRate, BASE_RATE } = require('../utils/currency');
 
 const router = express.Router();
 
@@ -12,12 +14,19 @@ const router = express.Router();
 router.get('/', protect, async (req, res) => {
   try {
     let cart = await Cart.findOne({ user: req.user.id })
-      .populate('items.product', 'name price images stock');
+      .populate('items.product', 'name price images stock variants availability');
 
     if (!cart) {
       cart = await Cart.create({ user: req.user.id });
     }
 
+    // Pre-order and backorder details can change after items are added
+    cart.items.forEach(item => {
+      if (item.product && item.product.getAvailability) {
+        cart.setItemAvailability(item, item.product);
+      }
+    });
+
     res.status(200).json({
       success: true,
       cart
@@ -108,8 +117,35 @@ router.post('/items', protect, [
       console.log('Found existing cart for user:', req.user.id);
     }
 
+    // Price the item in the cart's currency; fall back to the base currency
+    // if that currency has since been disabled
+    let rate = await getRate(cart.currency);
+    if (!rate) {
+      rate = BASE_RATE;
+      const products = await Product.find({ _id: { $in: cart.items.map(item => item.product) } });
+      cart.setCurrency(rate, products);
+    }
+
+    // Gift cards are emailed to a recipient, the buyer unless someone is named
+    let giftCard = null;
+    if (product.productType === 'gift_card') {
+      const recipient = req.body.giftCard || {};
+      const recipientEmail = String(recipient.recipientEmail || req.user.email || '').trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid recipient email is required for gift cards'
+        });
+      }
+      giftCard = {
+        recipientName: recipient.recipientName,
+        recipientEmail,
+        message: recipient.message ? String(recipient.message).slice(0, 500) : undefined
+      };
+    }
+
     console.log('Adding item to cart:', { product: product.name, quantity, color, size });
-    cart.addItem(product, quantity, color, size);
+    cart.addItem(product, quantity, color, size, product.getPriceIn(rate).price, giftCard);
     await cart.save();
     console.log('Cart saved successfully');
 
@@ -321,6 +357,143 @@ router.delete('/coupon', protect, async (req, res) => {
   }
 });
 
+// @desc    Apply gift card to cart
+// @route   POST /api/cart/gift-cards
+// @access  Private
+router.post('/gift-cards', protect, [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Gift card code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const cart = await Cart.findOne({ user: req.user.id });
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
+    }
+
+    const giftCard = await GiftCard.findByCode(req.body.code);
+    if (!giftCard) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid gift card code'
+      });
+    }
+    const giftCardError = giftCard.getUsableError(cart.currency);
+    if (giftCardError) {
+      return res.status(400).json({
+        success: false,
+        message: giftCardError
+      });
+    }
+
+    cart.applyGiftCard(giftCard);
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Gift card applied successfully',
+      cart
+    });
+  } catch (error) {
+    console.error('Apply gift card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying gift card'
+    });
+  }
+});
+
+// @desc    Remove gift card from cart
+// @route   DELETE /api/cart/gift-cards/:giftCardId
+// @access  Private
+router.delete('/gift-cards/:giftCardId', protect, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user.id });
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
+    }
+
+    cart.removeGiftCard(req.params.giftCardId);
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Gift card removed successfully',
+      cart
+    });
+  } catch (error) {
+    console.error('Remove gift card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing gift card'
+    });
+  }
+});
+
+// @desc    Change cart currency
+// @route   PUT /api/cart/currency
+// @access  Private
+router.put('/currency', protect, [
+  body('currency')
+    .trim()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const rate = await getRate(req.body.currency);
+    if (!rate) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency ${req.body.currency.toUpperCase()} is not supported`
+      });
+    }
+
+    let cart = await Cart.findOne({ user: req.user.id });
+    if (!cart) {
+      cart = await Cart.create({ user: req.user.id });
+    }
+
+    const products = await Product.find({ _id: { $in: cart.items.map(item => item.product) } });
+    cart.setCurrency(rate, products);
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Currency updated successfully',
+      cart
+    });
+  } catch (error) {
+    console.error('Update cart currency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating cart currency'
+    });
+  }
+});
+
 // @desc    Update shipping address
 // @route   PUT /api/cart/shipping
 // @access  Private
@@ -0,0 +1,54 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const GiftCard = require('../models/GiftCard');
+
+const router = express.Router();
+
+// @desc    Check a gift card balance
+// @route   POST /api/gift-cards/balance
+// @access  Public
+// The code is sent in the body so it stays out of URLs and access logs
+router.post('/balance', [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Gift card code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const giftCard = await GiftCard.findByCode(req.body.code);
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    const expired = Boolean(giftCard.expiresAt && giftCard.expiresAt <= new Date());
+    res.status(200).json({
+      success: true,
+      giftCard: {
+        last4: giftCard.last4,
+        balance: giftCard.balance,
+        currency: giftCard.currency,
+        expiresAt: giftCard.expiresAt,
+        status: expired ? 'expired' : giftCard.status
+      }
+    });
+  } catch (error) {
+    console.error('Gift card route: POST /api/gift-cards/balance - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking gift card balance'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,133 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Return = require('../models/Return');
 const Product = require('../models/Product');
 const User = require('../models/User');
-const { protect, optionalAuth } = require('../middleware/auth');
+const OrderActivity = require('../models/OrderActivity');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const GiftCard = require('../models/GiftCard');
+const { protect, authorize, optionalAuth, orderAccess } = require('../middleware/auth');
+const idempotent = require('../middleware/idempotency');
 const sendEmail = require('../utils/sendEmail');
+const sendOrderEmail = require('../utils/orderEmail');
+const payments = require('../utils/paymentProvider');
+const withTransaction = require('../utils/transaction');
+const { createInvoicePdf, createPackingSlipPdf } = require('../utils/orderDocuments');
+const { streamCsv, streamXlsx } = require('../utils/orderExport');
+const { screenOrder, getRequestCountry } = require('../utils/fraudScreening');
+const { linkPaymentIntent, getPaymentAmountError } = require('../utils/paymentSync');
+const { BASE_RATE, getRate, convertAmount, formatMoney, toMinorUnits, centsPerMinorUnit } = require('../utils/currency');
+const { toCents, fromCents, sumCents, calculateTotalsInCents, FREE_SHIPPING_THRESHOLD, SHIPPING_FEE } = require('../utils/money');
 
 const router = express.Router();
 
+// Reserve stock and create the order in one transaction so concurrent
+// checkouts can never oversell the same variant. `afterCreate` runs inside
+// the same transaction, so anything it throws rolls the order back too.
+// Risky orders are screened and put on hold for review before commit.
+const placeOrder = (req, orderData, afterCreate = null) => withTransaction(async (session) => {
+  const shortages = await Product.reserveStock(orderData.items, session);
+  if (shortages.length > 0) {
+    await session.abortTransaction();
+    return { order: null, shortages };
+  }
+  const [order] = await Order.create([orderData], { session });
+
+  const ipCountry = getRequestCountry(req);
+  const screening = await screenOrder(order, { ip: req.ip, ipCountry, session });
+  order.fraudReview = {
+    score: screening.score,
+    reasons: screening.reasons,
+    status: screening.hold ? 'review' : 'clear',
+    ip: req.ip,
+    ipCountry
+  };
+  if (screening.hold) {
+    await order.transitionTo('on_hold', {
+      note: `Held for fraud review: ${screening.reasons.map(reason => reason.message).join('; ')}`,
+      session
+    });
+  }
+  await order.save({ session });
+
+  if (afterCreate) {
+    await afterCreate(order, session);
+  }
+  return { order, shortages };
+});
+
+// Payment details for a new order. The client only names its
+// PaymentIntent; the status starts as pending and is taken from the
+// provider. Orders placed without one are paid later through
+// /api/payment/create-payment-intent.
+const newPaymentInfo = (paymentInfo) => ({
+  id: (paymentInfo && paymentInfo.id) || 'unpaid',
+  method: (paymentInfo && paymentInfo.method) || 'card',
+  status: 'pending'
+});
+
+// Recipient of a gift card line, defaulting to `fallbackEmail`, or null if
+// there is no valid email to send the card to
+const giftCardRecipient = (recipient, fallbackEmail) => {
+  const details = recipient && typeof recipient === 'object' ? recipient : {};
+  const recipientEmail = String(details.recipientEmail || fallbackEmail || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail)) return null;
+  return {
+    recipientName: details.recipientName,
+    recipientEmail,
+    message: details.message ? String(details.message).slice(0, 500) : undefined
+  };
+};
+
+// Link the order's PaymentIntent and take its payment state from Stripe.
+// Stripe being unreachable never fails checkout; the webhook catches up.
+const syncPayment = async (order) => {
+  try {
+    return await linkPaymentIntent(order);
+  } catch (error) {
+    console.error('Order route: Could not link payment for', order.orderNumber, error.message);
+    return order;
+  }
+};
+
+// Screening results are for admins only
+const withoutFraudReview = (order) => {
+  const data = order.toJSON();
+  delete data.fraudReview;
+  return data;
+};
+
+// Send order confirmation email
+const sendOrderConfirmation = async (order) => {
+  const { shippingAddress } = order;
+  const heldNote = (item) => {
+    if (!(item.heldQuantity > 0)) return '';
+    const label = item.availability === 'preorder' ? 'pre-order' : 'backorder';
+    return item.expectedDate ? ` - ${label}, expected ${item.expectedDate.toDateString()}` : ` - ${label}`;
+  };
+  const orderSummary = order.items.map(item => `- ${item.name} x${item.quantity} (${formatMoney(item.price, order.currency)})${heldNote(item)}`).join('\n');
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const trackingLink = `${frontendUrl}/order-tracking/${order.orderNumber}?token=${order.getAccessToken()}`;
+  const giftCardNote = order.giftCardAmount > 0
+    ? `\nPaid with gift cards: ${formatMoney(order.giftCardAmount, order.currency)}\nCharged to your card: ${formatMoney(order.getAmountDue(), order.currency)}`
+    : '';
+  const message = `Thank you for your order!\n\nOrder Number: ${order.orderNumber}\n\nOrder Summary:\n${orderSummary}\n\nTotal: ${formatMoney(order.totalPrice, order.currency)}${giftCardNote}\n\nTrack your order: ${trackingLink}\n\nShipping to:\n${shippingAddress.name}\n${shippingAddress.address}, ${shippingAddress.city}, ${shippingAddress.state} ${shippingAddress.zipCode}, ${shippingAddress.country}\n\nWe will notify you when your order ships!`;
+  await sendOrderEmail(order, {
+    subject: `Order Confirmation - ${order.orderNumber}`,
+    message
+  });
+  console.log('Order route: Confirmation email sent for order', order.orderNumber);
+};
+
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Public (guest checkout allowed)
-router.post('/', optionalAuth, async (req, res) => {
+router.post('/', optionalAuth, idempotent, async (req, res) => {
   try {
     console.log('Order route: POST /api/orders - Request received', req.body);
-    const { items, shippingAddress, billingAddress, paymentInfo, orderNumber } = req.body;
+    const { items, shippingAddress, billingAddress, paymentInfo } = req.body;
 
     if (!items || items.length === 0) {
       return res.status(400).json({
@@ -23,25 +136,26 @@ router.post('/', optionalAuth, async (req, res) => {
       });
     }
 
+    const rate = await getRate(req.body.currency);
+    if (!rate) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency ${req.body.currency} is not supported`
+      });
+    }
+
     // Calculate totals
     let itemsPrice = 0;
     const orderItems = [];
 
     for (const item of items) {
       console.log('Order route: Processing item:', item);
-      if (!item || typeof item !== 'object' || !item.product || typeof item.quantity !== 'number') {
+      if (!item || typeof item !== 'object' || !item.product || !Number.isInteger(item.quantity) || item.quantity < 1) {
         return res.status(400).json({
           success: false,
           message: 'One or more items are invalid or missing required fields.'
         });
       }
-      // Validation for color and size
-      if (!item.color || !item.size) {
-        return res.status(400).json({
-          success: false,
-          message: 'Each item must have a color and size.'
-        });
-      }
       const product = await Product.findById(item.product);
       if (!product) {
         return res.status(400).json({
@@ -51,66 +165,602 @@ router.post('/', optionalAuth, async (req, res) => {
       }
       console.log('Order route: Product lookup', item.product);
 
-      const itemTotal = product.price * item.quantity;
-      itemsPrice += itemTotal;
+      // Gift cards are emailed to a recipient, the buyer unless someone is
+      // named; other products need a color and size
+      let giftCard;
+      if (product.productType === 'gift_card') {
+        giftCard = giftCardRecipient(item.giftCard, shippingAddress && shippingAddress.email);
+        if (!giftCard) {
+          return res.status(400).json({
+            success: false,
+            message: 'A valid recipient email is required for gift cards'
+          });
+        }
+      } else if (!item.color || !item.size) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each item must have a color and size.'
+        });
+      }
+
+      const { price } = product.getPriceIn(rate);
+      itemsPrice += toCents(price) * item.quantity;
 
       orderItems.push({
         product: product._id,
         name: product.name,
-        price: product.price,
+        price,
         quantity: item.quantity,
         image: product.images[0]?.url || '',
-        color: item.color,
-        size: item.size
+        color: giftCard ? undefined : item.color,
+        size: giftCard ? undefined : item.size,
+        giftCard
       });
     }
 
-    const taxPrice = itemsPrice * 0.085;
-    const shippingPrice = itemsPrice >= 50 ? 0 : 5.99;
-    const totalPrice = itemsPrice + taxPrice + shippingPrice;
+    // Totals are computed in cents (see utils/money)
+    const totals = calculateTotalsInCents({
+      subtotal: itemsPrice,
+      shipping: itemsPrice >= toCents(convertAmount(FREE_SHIPPING_THRESHOLD, rate))
+        ? 0
+        : toCents(convertAmount(SHIPPING_FEE, rate)),
+      step: centsPerMinorUnit(rate.currency)
+    });
 
+    // Order numbers always come from the server-side sequence
     const orderData = {
-      orderNumber,
       items: orderItems,
       shippingAddress,
       billingAddress,
-      paymentInfo,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice
+      paymentInfo: newPaymentInfo(paymentInfo),
+      itemsPrice: fromCents(totals.subtotal),
+      taxPrice: fromCents(totals.tax),
+      shippingPrice: fromCents(totals.shipping),
+      totalPrice: fromCents(totals.total),
+      currency: rate.currency,
+      exchangeRate: rate.rate
     };
     if (req.user && req.user.id) {
       orderData.user = req.user.id;
     }
-    const order = await Order.create(orderData);
+
+    const paymentError = paymentInfo && paymentInfo.id
+      ? await getPaymentAmountError(paymentInfo.id, orderData.totalPrice, orderData.currency)
+      : null;
+    if (paymentError) {
+      return res.status(409).json({
+        success: false,
+        message: paymentError
+      });
+    }
+
+    const { order, shortages } = await placeOrder(req, orderData);
+    if (shortages.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some items are out of stock',
+        errors: shortages
+      });
+    }
     console.log('Order route: Order created', order._id);
 
-    // Send order confirmation email
-    const customerEmail = shippingAddress.email || billingAddress.email;
-    if (customerEmail) {
-      const orderSummary = orderItems.map(item => `- ${item.name} x${item.quantity} ($${item.price})`).join('\n');
-      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-      const trackingLink = `${frontendUrl}/order-tracking/${orderNumber}`;
-      const message = `Thank you for your order!\n\nOrder Number: ${orderNumber}\n\nOrder Summary:\n${orderSummary}\n\nTrack your order: ${trackingLink}\n\nShipping to:\n${shippingAddress.name}\n${shippingAddress.address}, ${shippingAddress.city}, ${shippingAddress.state} ${shippingAddress.zipCode}, ${shippingAddress.country}\n\nWe will notify you when your order ships!`;
-      await sendEmail({
-        email: customerEmail,
-        subject: `Order Confirmation - ${orderNumber}`,
-        message
+    const syncedOrder = await syncPayment(order);
+    await sendOrderConfirmation(syncedOrder);
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      order: withoutFraudReview(syncedOrder)
+    });
+  } catch (error) {
+    console.error('Order route: POST /api/orders - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating order'
+    });
+  }
+});
+
+// @desc    Create order from the user's cart
+// @route   POST /api/orders/checkout
+// @access  Private
+// Orders paid in full with gift cards need no payment details
+router.post('/checkout', protect, idempotent, [
+  body('paymentInfo.id')
+    .if(body('paymentInfo').exists())
+    .notEmpty()
+    .withMessage('Payment ID is required'),
+  body('paymentInfo.method')
+    .if(body('paymentInfo').exists())
+    .notEmpty()
+    .withMessage('Payment method is required'),
+  body('loyaltyPoints')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Loyalty points must be a positive whole number')
+], async (req, res) => {
+  try {
+    console.log('Order route: POST /api/orders/checkout - Request received', req.user.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const cart = await Cart.findOne({ user: req.user.id });
+    if (!cart || cart.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    // Shipping address from the request wins over the one saved on the cart
+    const cartAddress = cart.shippingAddress ? cart.shippingAddress.toObject() : {};
+    const shippingAddress = {
+      ...cartAddress,
+      email: req.user.email,
+      ...(req.body.shippingAddress || {})
+    };
+    const requiredFields = ['name', 'address', 'city', 'state', 'zipCode', 'phone'];
+    const missingFields = requiredFields.filter(field => !shippingAddress[field]);
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Shipping address is missing: ${missingFields.join(', ')}`
+      });
+    }
+
+    const billingAddress = req.body.billingAddress || {
+      name: shippingAddress.name,
+      email: shippingAddress.email,
+      address: shippingAddress.address,
+      city: shippingAddress.city,
+      state: shippingAddress.state,
+      zipCode: shippingAddress.zipCode,
+      country: shippingAddress.country
+    };
+
+    // Charge today's prices and exchange rate, not those from when each
+    // item was added
+    const rate = await getRate(cart.currency);
+    if (!rate) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency ${cart.currency} is no longer supported`
+      });
+    }
+    const products = await Product.find({ _id: { $in: cart.items.map(item => item.product) } });
+    cart.setCurrency(rate, products);
+    const orderItems = cart.items.map(item => {
+      const product = products.find(p => p._id.toString() === item.product.toString());
+      const variant = product && product.findVariant(item.color, item.size);
+      return {
+        product: item.product,
+        name: item.name,
+        price: item.price,
+        quantity: item.quantity,
+        image: item.image,
+        color: item.color,
+        size: item.size,
+        sku: (variant && variant.sku) || item.sku,
+        giftCard: item.giftCard && item.giftCard.recipientEmail ? item.giftCard.toObject() : undefined
+      };
+    });
+
+    const orderData = {
+      user: req.user.id,
+      items: orderItems,
+      shippingAddress,
+      billingAddress,
+      itemsPrice: cart.subtotal,
+      taxPrice: cart.tax,
+      shippingPrice: cart.shipping,
+      discountAmount: cart.discount,
+      totalPrice: cart.total,
+      currency: cart.currency,
+      exchangeRate: cart.exchangeRate,
+      notes: req.body.notes,
+      isGift: req.body.isGift,
+      giftMessage: req.body.giftMessage
+    };
+    if (cart.coupon && cart.coupon.code) {
+      orderData.coupon = {
+        code: cart.coupon.code,
+        discount: cart.discount
+      };
+    }
+
+    const requestedPoints = req.body.loyaltyPoints ? parseInt(req.body.loyaltyPoints, 10) : 0;
+    if (requestedPoints > 0) {
+      const user = await User.findById(req.user.id);
+      if (!user || user.loyaltyPoints < requestedPoints) {
+        return res.status(400).json({
+          success: false,
+          message: 'Not enough loyalty points'
+        });
+      }
+      const { pointsUsed, discount } = LoyaltyTransaction.quoteForCart(cart, requestedPoints);
+      orderData.loyaltyPointsUsed = pointsUsed;
+      orderData.loyaltyDiscount = discount;
+      orderData.discountAmount = fromCents(toCents(cart.discount) + toCents(discount));
+      orderData.totalPrice = fromCents(toCents(cart.total) - toCents(discount));
+    }
+
+    // Gift cards pay what is left after discounts, at their current balance
+    if (cart.giftCards.length > 0) {
+      if (cart.hasGiftCardItems()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Gift cards cannot be used to buy gift cards'
+        });
+      }
+      const giftCards = await GiftCard.find({ _id: { $in: cart.giftCards.map(card => card.giftCard) } });
+      const balances = {};
+      for (const giftCard of giftCards) {
+        const giftCardError = giftCard.getUsableError(cart.currency);
+        if (giftCardError) {
+          return res.status(400).json({
+            success: false,
+            message: giftCardError
+          });
+        }
+        balances[giftCard._id.toString()] = toCents(giftCard.balance);
+      }
+      const used = cart.allocateGiftCards(toCents(orderData.totalPrice), balances).filter(card => card.amount > 0);
+      orderData.giftCards = used.map(card => ({ ...card, amount: fromCents(card.amount) }));
+      orderData.giftCardAmount = fromCents(sumCents(used.map(card => card.amount)));
+    }
+
+    const amountDue = fromCents(toCents(orderData.totalPrice) - toCents(orderData.giftCardAmount || 0));
+    const paidByGiftCards = amountDue === 0 && orderData.giftCardAmount > 0;
+    if (paidByGiftCards) {
+      orderData.paymentInfo = { id: 'gift_card', method: 'gift_card', status: 'succeeded', paidAt: new Date() };
+    } else {
+      if (!req.body.paymentInfo) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment details are required'
+        });
+      }
+      orderData.paymentInfo = newPaymentInfo(req.body.paymentInfo);
+
+      // A PaymentIntent made for the cart must still match what is charged
+      const paymentError = await getPaymentAmountError(orderData.paymentInfo.id, amountDue, orderData.currency);
+      if (paymentError) {
+        return res.status(409).json({
+          success: false,
+          message: paymentError
+        });
+      }
+    }
+
+    // The cart is only cleared if the order is committed
+    const { order, shortages } = await placeOrder(req, orderData, async (createdOrder, session) => {
+      if (createdOrder.loyaltyPointsUsed > 0) {
+        await LoyaltyTransaction.redeem(req.user.id, createdOrder.loyaltyPointsUsed, createdOrder, session);
+      }
+      for (const used of createdOrder.giftCards) {
+        await GiftCard.redeem(used.giftCard, used.amount, createdOrder, session);
+      }
+      if (paidByGiftCards && createdOrder.status === 'pending') {
+        await createdOrder.transitionTo('processing', { note: 'Paid in full with gift cards', session });
+        await createdOrder.save({ session });
+      }
+      cart.clearCart();
+      await cart.save({ session });
+    });
+    if (shortages.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some items are out of stock',
+        errors: shortages
       });
-      console.log('Order route: Confirmation email sent to', customerEmail);
     }
+    console.log('Order route: Order created from cart', order._id);
+
+    const syncedOrder = await syncPayment(order);
+    await sendOrderConfirmation(syncedOrder);
 
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
+      order: withoutFraudReview(syncedOrder)
+    });
+  } catch (error) {
+    console.error('Order route: POST /api/orders/checkout - Error:', error);
+    if (error.name === 'LoyaltyError' || error.name === 'GiftCardError') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating order'
+    });
+  }
+});
+
+// @desc    Email a verification code to look up a guest order
+// @route   POST /api/orders/guest/lookup
+// @access  Public
+router.post('/guest/lookup', [
+  body('orderNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Order number is required'),
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { orderNumber, email } = req.body;
+    const order = await Order.findOne({ orderNumber }).select('+guestAccess');
+
+    // Same answer whether or not the order exists or a code was sent, so
+    // order numbers and emails cannot be probed
+    const code = order && order.matchesEmail(email) ? order.createAccessCode() : null;
+    if (code) {
+      await order.save();
+      await sendEmail({
+        email,
+        subject: `Your verification code for order ${order.orderNumber}`,
+        message: `Your verification code is ${code}. It expires in 15 minutes.\n\nIf you did not request this code you can ignore this email.`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If the order and email match, a verification code has been sent'
+    });
+  } catch (error) {
+    console.error('Order route: POST /api/orders/guest/lookup - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error looking up order'
+    });
+  }
+});
+
+// @desc    Exchange a verification code for an order access token
+// @route   POST /api/orders/guest/verify
+// @access  Public
+router.post('/guest/verify', [
+  body('orderNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Order number is required'),
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { orderNumber, email, code } = req.body;
+    const order = await Order.findOne({ orderNumber }).select('+guestAccess');
+
+    if (!order || !order.matchesEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification code'
+      });
+    }
+
+    const isValid = order.checkAccessCode(code);
+    await order.save();
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification code'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: order.getAccessToken()
+    });
+  } catch (error) {
+    console.error('Order route: POST /api/orders/guest/verify - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying code'
+    });
+  }
+});
+
+// @desc    Get order with an order access token
+// @route   GET /api/orders/guest/order
+// @access  Order token
+router.get('/guest/order', orderAccess, async (req, res) => {
+  try {
+    const order = await req.order.populate('items.product', 'name images description');
+    res.status(200).json({
+      success: true,
       order
     });
   } catch (error) {
-    console.error('Order route: POST /api/orders - Error:', error);
+    console.error('Order route: GET /api/orders/guest/order - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting order'
+    });
+  }
+});
+
+// @desc    Cancel order with an order access token
+// @route   PUT /api/orders/guest/cancel
+// @access  Order token
+router.put('/guest/cancel', orderAccess, async (req, res) => {
+  try {
+    if (!req.order.canBeCancelled()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order cannot be cancelled at this stage'
+      });
+    }
+
+    const order = await Order.transition(req.order._id, 'cancelled', { note: 'Cancelled by customer' });
+    console.log('Order route: Guest order cancelled', order._id);
+
+    await sendOrderEmail(order, {
+      subject: `Order Cancelled - ${order.orderNumber}`,
+      message: `Your order has been cancelled. If you have questions, please contact support.`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Order cancelled successfully',
+      order
+    });
+  } catch (error) {
+    console.error('Order route: PUT /api/orders/guest/cancel - Error:', error);
+    if (error.name === 'OrderTransitionError') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling order'
+    });
+  }
+});
+
+// @desc    Start a return with an order access token
+// @route   POST /api/orders/guest/returns
+// @access  Order token
+router.post('/guest/returns', orderAccess, [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item is required'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Return reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = req.order;
+    if (!order.canBeRefunded()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order cannot be returned at this stage'
+      });
+    }
+
+    const { items, error } = await Return.buildItems(order, req.body.items);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const ret = new Return({
+      order: order._id,
+      user: order.user,
+      items,
+      reason: req.body.reason
+    });
+    ret.calculateRefund(order);
+    await ret.save();
+    console.log('Order route: Guest return requested', ret.returnNumber);
+    await OrderActivity.log({
+      order: order._id,
+      type: 'return',
+      message: `Return ${ret.returnNumber} requested by guest`,
+      metadata: { return: ret._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      return: ret
+    });
+  } catch (error) {
+    console.error('Order route: POST /api/orders/guest/returns - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting return'
+    });
+  }
+});
+
+// @desc    Link guest orders to the current user
+// @route   POST /api/orders/claim
+// @access  Private
+router.post('/claim', protect, async (req, res) => {
+  try {
+    console.log('Order route: POST /api/orders/claim - Request received', req.user.id);
+    const { token } = req.body;
+
+    let claimed;
+    if (token) {
+      // An order access token proves the order is theirs, whatever the email
+      const orderId = Order.verifyAccessToken(token);
+      if (!orderId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired order access token'
+        });
+      }
+      claimed = await Order.claimGuestOrders(req.user, [orderId]);
+    } else {
+      if (!req.user.isEmailVerified) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email before claiming orders'
+        });
+      }
+      claimed = await Order.claimGuestOrders(req.user);
+    }
+
+    const user = await User.findById(req.user.id);
+    if (claimed > 0) {
+      await user.recalculateOrderStats();
+      await user.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: claimed > 0 ? `${claimed} order(s) linked to your account` : 'No guest orders to link',
+      claimed,
+      totalOrders: user.totalOrders,
+      totalSpent: user.totalSpent,
+      memberTier: user.memberTier
+    });
+  } catch (error) {
+    console.error('Order route: POST /api/orders/claim - Error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error creating order'
+      message: 'Error claiming orders'
     });
   }
 });
@@ -169,6 +819,7 @@ router.get('/admin/orders/:id', protect, async (req, res) => {
       });
     }
     const order = await Order.findById(req.params.id)
+      .select('+fraudReview')
       .populate('user', 'name email')
       .populate('items.product', 'name images description');
     if (!order) {
@@ -197,6 +848,7 @@ router.get('/admin/orders/number/:orderNumber', protect, async (req, res) => {
     const order = await Order.findOne({
       orderNumber: { $regex: `^${orderNumber}$`, $options: 'i' }
     })
+      .select('+fraudReview')
       .populate('user', 'name email')
       .populate('items.product', 'name images description');
  
@@ -264,14 +916,14 @@ router.put('/:id/status', protect, async (req, res) => {
     console.log('Order route: PUT /api/orders/:id/status - Request received', req.params.id, req.body);
     const { status, note } = req.body;
 
-    if (!['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'].includes(status)) {
+    if (!Order.schema.path('status').enumValues.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid status'
       });
     }
 
-    const order = await Order.findById(req.params.id);
+    let order = await Order.findById(req.params.id);
 
     if (!order) {
       return res.status(404).json({
@@ -288,32 +940,23 @@ router.put('/:id/status', protect, async (req, res) => {
       });
     }
 
-    order.updateStatus(status, note);
-
-    // Update shipping info for shipped status
-    if (status === 'shipped') {
-      order.shippingInfo.shippedAt = new Date();
-      order.shippingInfo.estimatedDelivery = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000); // 3 days
-    }
-
-    // Update delivery info for delivered status
-    if (status === 'delivered') {
-      order.shippingInfo.deliveredAt = new Date();
-      order.actualDeliveryDate = new Date();
+    const transitionError = order.getTransitionError(status);
+    if (transitionError) {
+      return res.status(409).json({
+        success: false,
+        message: transitionError,
+        allowedStatuses: order.getNextStatuses()
+      });
     }
 
-    await order.save();
+    order = await Order.transition(order._id, status, { note, actor: req.user.id });
     console.log('Order route: Order status updated', req.params.id);
 
     // Send email to customer on status update
-    const customerEmail = order.shippingAddress?.email || order.billingAddress?.email;
-    if (customerEmail) {
-      await sendEmail({
-        email: customerEmail,
-        subject: `Order Status Updated - ${order.orderNumber}`,
-        message: `Your order status is now: ${order.status}. ${note ? '\nNote: ' + note : ''}`
-      });
-    }
+    await sendOrderEmail(order, {
+      subject: `Order Status Updated - ${order.orderNumber}`,
+      message: `Your order status is now: ${order.status}. ${note ? '\nNote: ' + note : ''}`
+    }, req.user.id);
 
     res.status(200).json({
       success: true,
@@ -322,6 +965,9 @@ router.put('/:id/status', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Order route: PUT /api/orders/:id/status - Error:', error);
+    if (error.name === 'OrderTransitionError') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: 'Error updating order status'
@@ -335,7 +981,7 @@ router.put('/:id/status', protect, async (req, res) => {
 router.put('/:id/cancel', protect, async (req, res) => {
   try {
     console.log('Order route: PUT /api/orders/:id/cancel - Request received', req.params.id);
-    const order = await Order.findById(req.params.id);
+    let order = await Order.findById(req.params.id);
 
     if (!order) {
       return res.status(404).json({
@@ -354,44 +1000,21 @@ router.put('/:id/cancel', protect, async (req, res) => {
 
     // Check if order can be cancelled
     if (!order.canBeCancelled()) {
-      return res.status(400).json({
+      return res.status(409).json({
         success: false,
         message: 'Order cannot be cancelled at this stage'
       });
     }
 
-    order.updateStatus('cancelled', 'Cancelled by customer');
-
-    // Restore product stock
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        if (item.color && item.size) {
-          const variant = product.variants.find(v => 
-            v.color === item.color && v.size === item.size
-          );
-          if (variant) {
-            variant.stock += item.quantity;
-          }
-        } else {
-          product.stock += item.quantity;
-        }
-        await product.save();
-      }
-    }
-
-    await order.save();
+    // Stock is restored as part of the status change
+    order = await Order.transition(order._id, 'cancelled', { note: 'Cancelled by customer', actor: req.user.id });
     console.log('Order route: Order cancelled', req.params.id);
 
     // Send email to customer on cancellation
-    const cancelEmail = order.shippingAddress?.email || order.billingAddress?.email;
-    if (cancelEmail) {
-      await sendEmail({
-        email: cancelEmail,
-        subject: `Order Cancelled - ${order.orderNumber}`,
-        message: `Your order has been cancelled. If you have questions, please contact support.`
-      });
-    }
+    await sendOrderEmail(order, {
+      subject: `Order Cancelled - ${order.orderNumber}`,
+      message: `Your order has been cancelled. If you have questions, please contact support.`
+    }, req.user.id);
 
     res.status(200).json({
       success: true,
@@ -400,6 +1023,9 @@ router.put('/:id/cancel', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Order route: PUT /api/orders/:id/cancel - Error:', error);
+    if (error.name === 'OrderTransitionError') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: 'Error cancelling order'
@@ -484,6 +1110,400 @@ router.post('/:id/refund', protect, [
   }
 });
 
+// @desc    Approve refund and issue it through Stripe (Admin only)
+// @route   PUT /api/orders/:id/refund/approve
+// @access  Private/Admin
+// Refunds are split between the card charge and the gift cards that paid
+// for the order; the gift card share is restored to the cards.
+router.put('/:id/refund/approve', protect, authorize('admin'), async (req, res) => {
+  try {
+    console.log('Order route: PUT /api/orders/:id/refund/approve - Request received', req.params.id, req.body);
+    const { returnId, note } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Amount comes from the return, the explicit amount, the customer's
+    // pending request or whatever is left, in that order
+    let ret = null;
+    let amount;
+    if (returnId) {
+      ret = await Return.findOne({ _id: returnId, order: order._id });
+      if (!ret) {
+        return res.status(404).json({
+          success: false,
+          message: 'Return not found for this order'
+        });
+      }
+      if (ret.status !== 'received') {
+        return res.status(409).json({
+          success: false,
+          message: 'Return must be received before it is refunded'
+        });
+      }
+      amount = ret.refund.amount;
+    } else if (req.body.amount !== undefined) {
+      amount = Number(req.body.amount);
+    } else if (order.refundInfo && order.refundInfo.status === 'pending' && order.refundInfo.amount > 0) {
+      amount = order.refundInfo.amount;
+    } else {
+      amount = order.getRefundableAmount();
+    }
+
+    if (!(amount > 0) || amount > order.getRefundableAmount()) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between 0 and ${order.getRefundableAmount()}`
+      });
+    }
+
+    const split = order.splitRefund(amount);
+    if (split.card > 0 && (!order.paymentInfo || !order.paymentInfo.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has no payment to refund'
+      });
+    }
+
+    let refund = null;
+    if (split.card > 0) {
+      try {
+        refund = await payments.createRefund({
+          paymentId: order.paymentInfo.id,
+          amount: toMinorUnits(split.card, order.currency),
+          metadata: {
+            orderId: order._id.toString(),
+            ...(ret && { returnId: ret._id.toString() })
+          }
+        }, {
+          // Retries of the same approval must not refund twice
+          idempotencyKey: `refund-${order._id}-${order.refunds.length}`
+        });
+      } catch (providerError) {
+        console.error('Order route: Payment provider refund error:', providerError);
+        return res.status(502).json({
+          success: false,
+          message: providerError.message || 'Refund could not be issued'
+        });
+      }
+      console.log('Order route: Stripe refund created', refund.id);
+    }
+
+    // Gift card balances, the order and the return change together
+    const refunded = await withTransaction(async (session) => {
+      const current = await Order.findById(order._id).session(session);
+      if (refund) {
+        current.recordRefund({
+          stripeRefundId: refund.id,
+          amount: split.card,
+          status: refund.status,
+          reason: note || (current.refundInfo && current.refundInfo.reason),
+          return: ret ? ret._id : undefined,
+          processedBy: req.user.id
+        });
+      }
+      if (split.giftCard > 0) {
+        await GiftCard.restoreForOrder(current, session, split.giftCard);
+      }
+      current.refundInfo = {
+        amount: current.getTotalRefunded(),
+        reason: (current.refundInfo && current.refundInfo.reason) || note,
+        processedAt: new Date(),
+        status: !refund || refund.status === 'succeeded' ? 'completed' : 'approved'
+      };
+      await current.syncRefundStatus({ note: note || `Refunded ${amount}`, actor: req.user.id, session });
+      await current.save({ session });
+
+      if (ret) {
+        const currentReturn = await Return.findById(ret._id).session(session);
+        currentReturn.updateStatus('refunded', note, req.user.id);
+        await currentReturn.save({ session });
+      }
+      return current;
+    });
+
+    const parts = [
+      split.card > 0 && `${formatMoney(split.card, refunded.currency)} to the card`,
+      split.giftCard > 0 && `${formatMoney(split.giftCard, refunded.currency)} to gift cards`
+    ].filter(Boolean).join(' and ');
+    await OrderActivity.log({
+      order: refunded._id,
+      type: 'payment',
+      message: `Refund of ${formatMoney(amount, refunded.currency)} issued: ${parts}${refund ? ` (${refund.status})` : ''}`,
+      actor: req.user.id,
+      metadata: {
+        stripeRefundId: refund ? refund.id : undefined,
+        amount,
+        cardAmount: split.card,
+        giftCardAmount: split.giftCard,
+        return: ret ? ret._id : undefined
+      }
+    });
+
+    const customerParts = [
+      split.card > 0 && `${formatMoney(split.card, refunded.currency)} to your card, which can take 5-10 business days to appear on your statement`,
+      split.giftCard > 0 && `${formatMoney(split.giftCard, refunded.currency)} to the gift cards you paid with, available to spend now`
+    ].filter(Boolean).join(', and ');
+    await sendOrderEmail(refunded, {
+      subject: `Refund Issued - ${refunded.orderNumber}`,
+      message: `We have issued a refund of ${formatMoney(amount, refunded.currency)} for your order ${refunded.orderNumber}: ${customerParts}.`
+    }, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund issued successfully',
+      order: refunded
+    });
+  } catch (error) {
+    console.error('Order route: PUT /api/orders/:id/refund/approve - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing refund'
+    });
+  }
+});
+
+// @desc    Reject refund request (Admin only)
+// @route   PUT /api/orders/:id/refund/reject
+// @access  Private/Admin
+router.put('/:id/refund/reject', protect, authorize('admin'), [
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason for the rejection is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.refundInfo || order.refundInfo.status !== 'pending' || !order.refundInfo.reason) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order has no pending refund request'
+      });
+    }
+
+    order.refundInfo.status = 'rejected';
+    order.refundInfo.processedAt = new Date();
+    await order.save();
+    await OrderActivity.log({
+      order: order._id,
+      type: 'payment',
+      message: `Refund request rejected: ${req.body.note}`,
+      actor: req.user.id
+    });
+
+    await sendOrderEmail(order, {
+      subject: `Refund Request Update - ${order.orderNumber}`,
+      message: `Your refund request for order ${order.orderNumber} was not approved.\nReason: ${req.body.note}`
+    }, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund request rejected',
+      order
+    });
+  } catch (error) {
+    console.error('Order route: PUT /api/orders/:id/refund/reject - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting refund'
+    });
+  }
+});
+
+// @desc    Rebuild the cart from a previous order at current prices
+// @route   POST /api/orders/:id/reorder
+// @access  Private
+router.post('/:id/reorder', protect, async (req, res) => {
+  try {
+    console.log('Order route: POST /api/orders/:id/reorder - Request received', req.params.id);
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.user || order.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this order'
+      });
+    }
+
+    let cart = await Cart.findOne({ user: req.user.id });
+    if (!cart) {
+      cart = await Cart.create({ user: req.user.id });
+    }
+    let rate = await getRate(cart.currency);
+    if (!rate) {
+      rate = BASE_RATE;
+      const cartProducts = await Product.find({ _id: { $in: cart.items.map(item => item.product) } });
+      cart.setCurrency(rate, cartProducts);
+    }
+
+    const added = [];
+    const skipped = [];
+    for (const item of order.items) {
+      const line = { name: item.name, color: item.color, size: item.size, quantity: item.quantity };
+      const product = await Product.findById(item.product);
+
+      if (!product) {
+        skipped.push({ ...line, reason: 'Product no longer exists' });
+        continue;
+      }
+      if (!product.isActive) {
+        skipped.push({ ...line, reason: 'Product is no longer available' });
+        continue;
+      }
+
+      const variant = product.findVariant(item.color, item.size);
+      if (!variant && product.variants.length > 0 && item.color && item.size) {
+        skipped.push({ ...line, reason: `${item.color} / ${item.size} is no longer offered` });
+        continue;
+      }
+
+      // Pre/backorders count as available; units already in the cart do not
+      const giftCard = item.giftCard && item.giftCard.recipientEmail ? item.giftCard.toObject() : null;
+      const inCart = cart.items
+        .filter(cartItem => cartItem.product.toString() === product._id.toString() &&
+          cartItem.color === (item.color || null) && cartItem.size === (item.size || null) &&
+          (cartItem.giftCard && cartItem.giftCard.recipientEmail) === (giftCard ? giftCard.recipientEmail : undefined))
+        .reduce((total, cartItem) => total + cartItem.quantity, 0);
+      const available = product.getAvailability(item.color, item.size).orderable - inCart;
+      if (available <= 0) {
+        skipped.push({ ...line, reason: inCart > 0 ? 'Already in your cart' : 'Out of stock' });
+        continue;
+      }
+
+      const quantity = Math.min(item.quantity, available);
+      const { price } = product.getPriceIn(rate);
+      cart.addItem(product, quantity, item.color || null, item.size || null, price, giftCard);
+      added.push({
+        ...line,
+        quantity,
+        price,
+        ...(order.currency === cart.currency && price !== item.price && { previousPrice: item.price }),
+        ...(quantity < item.quantity && { note: `Only ${available} available` })
+      });
+    }
+
+    await cart.save();
+    console.log('Order route: Reorder added items to cart', req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: added.length > 0
+        ? 'Items added to cart'
+        : 'None of the items from this order could be added to the cart',
+      cart,
+      added,
+      skipped
+    });
+  } catch (error) {
+    console.error('Order route: POST /api/orders/:id/reorder - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering'
+    });
+  }
+});
+
+// @desc    Download order invoice
+// @route   GET /api/orders/:id/invoice
+// @access  Private
+router.get('/:id/invoice', protect, async (req, res) => {
+  try {
+    console.log('Order route: GET /api/orders/:id/invoice - Request received', req.params.id);
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const isOwner = order.user && order.user.toString() === req.user.id;
+    if (!isOwner && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this order'
+      });
+    }
+
+    if (['pending', 'on_hold', 'cancelled'].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `No invoice is available for a ${order.status} order`
+      });
+    }
+
+    await order.ensureInvoiceNumber();
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="invoice-${order.invoiceNumber}.pdf"`);
+    const doc = createInvoicePdf(order);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('Order route: GET /api/orders/:id/invoice - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating invoice'
+    });
+  }
+});
+
+// @desc    Download packing slip (Admin only)
+// @route   GET /api/orders/:id/packing-slip
+// @access  Private/Admin
+router.get('/:id/packing-slip', protect, authorize('admin'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="packing-slip-${order.orderNumber}.pdf"`);
+    const doc = createPackingSlipPdf([order]);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('Order route: GET /api/orders/:id/packing-slip - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating packing slip'
+    });
+  }
+});
+
 // @desc    Get order tracking
 // @route   GET /api/orders/:id/tracking
 // @access  Private
@@ -512,6 +1532,7 @@ router.get('/:id/tracking', protect, async (req, res) => {
       status: order.status,
       statusHistory: order.statusHistory,
       shippingInfo: order.shippingInfo,
+      packages: order.getPackages(),
       estimatedDelivery: order.estimatedDeliveryDate,
       actualDelivery: order.actualDeliveryDate
     };
@@ -529,27 +1550,35 @@ router.get('/:id/tracking', protect, async (req, res) => {
   }
 });
 
-// @desc    Delete order (customer)
+// @desc    Delete order (customer). Orders are kept: this cancels the
+//          order, so reserved stock, points and gift card balances are
+//          given back as for PUT /api/orders/:id/cancel.
 // @route   DELETE /api/orders/:id
 // @access  Private
 router.delete('/:id', protect, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
     if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
-    if (order.user.toString() !== req.user.id) {
+    if (!order.user || order.user.toString() !== req.user.id) {
       return res.status(403).json({ success: false, message: 'Not authorized to delete this order' });
     }
     if (!order.canBeCancelled()) {
       return res.status(400).json({ success: false, message: 'Order cannot be deleted at this stage' });
     }
-    await order.deleteOne();
-    res.status(200).json({ success: true, message: 'Order deleted successfully' });
+    const cancelled = await Order.transition(order._id, 'cancelled', { note: 'Deleted by customer', actor: req.user.id });
+    res.status(200).json({ success: true, message: 'Order cancelled successfully', order: cancelled });
   } catch (error) {
+    console.error('Order route: DELETE /api/orders/:id - Error:', error);
+    if (error.name === 'OrderTransitionError') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
     res.status(500).json({ success: false, message: 'Error deleting order' });
   }
 });
 
-// @desc    Get all orders (Admin only)
+// @desc    Get all orders (Admin only). With ?export=csv|xlsx every
+//          matching order is streamed as a file instead; ?rows=orders gives
+//          one row per order, the default is one row per line item.
 // @route   GET /api/orders/admin/all
 // @access  Private/Admins
 router.get('/admin/all', protect, async (req, res) => {
@@ -562,10 +1591,6 @@ router.get('/admin/all', protect, async (req, res) => {
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
     const filter = {};
 
     // Status filter
@@ -581,10 +1606,42 @@ router.get('/admin/all', protect, async (req, res) => {
       };
     }
 
+    if (req.query.export) {
+      const format = req.query.export;
+      const rowMode = req.query.rows === 'orders' ? 'orders' : 'items';
+      if (!['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Export format must be csv or xlsx'
+        });
+      }
+
+      const cursor = Order.find(filter)
+        .sort({ createdAt: -1 })
+        .populate('user', 'name email')
+        .cursor();
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Disposition', `attachment; filename="orders-${date}.${format}"`);
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        await streamCsv(res, cursor, rowMode);
+      } else {
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        await streamXlsx(res, cursor, rowMode);
+      }
+      console.log('Order route: Orders exported for admin', req.user.id);
+      return;
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
     const orders = await Order.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
+      .select('+fraudReview')
       .populate('user', 'name email')
       .populate('items.product', 'name');
     console.log('Order route: All orders fetched for admin', req.user.id);
@@ -602,6 +1659,10 @@ router.get('/admin/all', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Order route: GET /api/orders/admin/all - Error:', error);
+    // An export that fails halfway can only be cut off
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({
       success: false,
       message: 'Error getting all orders'
@@ -609,6 +1670,35 @@ router.get('/admin/all', protect, async (req, res) => {
   }
 });
 
+// @desc    Packing slips for all processing orders in one PDF (Admin only)
+// @route   GET /api/orders/admin/packing-slips
+// @access  Private/Admin
+router.get('/admin/packing-slips', protect, authorize('admin'), async (req, res) => {
+  try {
+    const orders = await Order.find({ status: 'processing' }).sort({ createdAt: 1 });
+
+    if (orders.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No processing orders'
+      });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="packing-slips-${date}.pdf"`);
+    const doc = createPackingSlipPdf(orders);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('Order route: GET /api/orders/admin/packing-slips - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating packing slips'
+    });
+  }
+});
+
 // @desc    Public order tracking by order number
 // @route   GET /api/orders/track/:orderNumber
 // @access  Public
@@ -620,11 +1710,27 @@ router.get('/track/:orderNumber', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
     console.log('Order route: Order found by order number', req.params.orderNumber);
+
+    // Without an access token for this order only the current status is shown
+    const token = req.headers['x-order-token'] || req.query.token;
+    const hasAccess = token && Order.verifyAccessToken(token) === order._id.toString();
+    if (!hasAccess) {
+      return res.status(200).json({
+        success: true,
+        trackingInfo: {
+          orderNumber: order.orderNumber,
+          status: order.status,
+          estimatedDelivery: order.estimatedDeliveryDate || order.shippingInfo?.estimatedDelivery
+        }
+      });
+    }
+
     const trackingInfo = {
       orderNumber: order.orderNumber,
       status: order.status,
       statusHistory: order.statusHistory,
       shippingInfo: order.shippingInfo,
+      packages: order.getPackages(),
       estimatedDelivery: order.estimatedDeliveryDate,
       actualDelivery: order.actualDeliveryDate
     };
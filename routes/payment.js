@@ -1,38 +1,134 @@
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const { protect } = require('../middleware/auth');
+const payments = require('../utils/paymentProvider');
+const { protect, optionalAuth } = require('../middleware/auth');
+const idempotent = require('../middleware/idempotency');
 const User = require('../models/User');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const OrderActivity = require('../models/OrderActivity');
+const PaymentEvent = require('../models/PaymentEvent');
+const { amountMismatch, applyPaymentIntent, preparePaymentIntent } = require('../utils/paymentSync');
+const withTransaction = require('../utils/transaction');
+const { toCents, fromCents, sumCents } = require('../utils/money');
+const { formatMoney, getRate, toMinorUnits, fromMinorUnits } = require('../utils/currency');
 
 const router = express.Router();
 
-// @desc    Create payment intent
+// Load an unpaid order the caller may pay for: their own order, any order
+// for admins, or a guest order with its access token. Sends the error
+// response and returns null otherwise.
+const findPayableOrder = async (req, res, orderId) => {
+  const order = await Order.findById(orderId).catch(() => null);
+  const token = req.headers['x-order-token'] || req.query.token;
+  const hasAccess = order && (
+    (req.user && (req.user.role === 'admin' || (order.user && order.user.toString() === req.user.id))) ||
+    (token && Order.verifyAccessToken(token) === order._id.toString())
+  );
+  if (!hasAccess) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+    return null;
+  }
+  if (order.status !== 'pending' || ['succeeded', 'processing'].includes(order.paymentInfo.status)) {
+    res.status(400).json({
+      success: false,
+      message: 'Order is not awaiting payment'
+    });
+    return null;
+  }
+  return order;
+};
+
+// @desc    Create payment intent for an order, or for the caller's cart
 // @route   POST /api/payment/create-payment-intent
-// @access  Public (guest checkout allowed)
-router.post('/create-payment-intent', async (req, res) => {
+// @access  Public (guest orders need their access token)
+router.post('/create-payment-intent', optionalAuth, idempotent, async (req, res) => {
   try {
     console.log('Payment route: Create payment intent - Request received', req.body);
-    const { amount, currency = 'usd' } = req.body;
+    const { orderId, loyaltyPoints } = req.body;
+
+    // The amount always comes from the server, never from the request
+    if (orderId) {
+      const order = await findPayableOrder(req, res, orderId);
+      if (!order) return;
+
+      const user = req.user && await User.findById(req.user.id);
+      const paymentIntent = await preparePaymentIntent(order, {
+        customer: (user && user.stripeCustomerId) || undefined
+      });
+      console.log('Payment route: Create payment intent - PaymentIntent ready for order', order._id, paymentIntent.id);
+
+      return res.status(200).json({
+        success: true,
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        amount: order.getAmountDue(),
+        currency: order.currency
+      });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign in to pay for your cart, or give an order ID'
+      });
+    }
 
-    if (!amount || amount <= 0) {
-      console.log('Payment route: Create payment intent - Validation failed: Invalid amount');
+    const cart = await Cart.findOne({ user: req.user.id });
+    if (!cart || cart.isEmpty()) {
+      console.log('Payment route: Create payment intent - Validation failed: Cart is empty');
       return res.status(400).json({
         success: false,
-        message: 'Valid amount is required'
+        message: 'Cart is empty'
+      });
+    }
+    // Same prices, loyalty discount and gift cards checkout will apply
+    const rate = await getRate(cart.currency);
+    if (!rate) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency ${cart.currency} is no longer supported`
+      });
+    }
+    cart.setCurrency(rate, await Product.find({ _id: { $in: cart.items.map(item => item.product) } }));
+    await cart.save();
+
+    let total = toCents(cart.total);
+    const requestedPoints = parseInt(loyaltyPoints, 10) || 0;
+    if (requestedPoints > 0) {
+      const { discount } = LoyaltyTransaction.quoteForCart(cart, requestedPoints);
+      total -= toCents(discount);
+    }
+    const amount = fromCents(total - sumCents(cart.allocateGiftCards(total).map(card => card.amount)));
+    if (amount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Gift cards cover this cart; check out without a card payment'
       });
     }
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
+    const user = await User.findById(req.user.id);
+    const paymentIntent = await payments.createIntent({
+      amount: toMinorUnits(amount, cart.currency),
+      currency: cart.currency.toLowerCase(),
+      customer: user.stripeCustomerId || undefined,
       metadata: {
-        // userId: req.user.id // Remove userId for guest checkout
+        userId: req.user.id,
+        cartId: cart._id.toString()
       }
     });
-    console.log('Payment route: Create payment intent - Stripe PaymentIntent created', paymentIntent.id);
+    console.log('Payment route: Create payment intent - PaymentIntent created', paymentIntent.id);
 
     res.status(200).json({
       success: true,
-      clientSecret: paymentIntent.client_secret
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      amount,
+      currency: cart.currency
     });
   } catch (error) {
     console.error('Payment route: Create payment intent - Error:', error);
@@ -64,8 +160,8 @@ router.post('/methods', protect, async (req, res) => {
     
     let customerId = user.stripeCustomerId;
     if (!customerId) {
-      // Create Stripe customer
-      const customer = await stripe.customers.create({
+      // Create provider customer
+      const customer = await payments.createCustomer({
         email: user.email,
         name: user.name,
         metadata: {
@@ -77,16 +173,14 @@ router.post('/methods', protect, async (req, res) => {
       user.stripeCustomerId = customerId;
       await user.save();
     }
-    console.log('Payment route: Stripe customer ID found or created', customerId);
+    console.log('Payment route: Customer ID found or created', customerId);
 
     // Attach payment method to customer
-    await stripe.paymentMethods.attach(paymentMethodId, {
-      customer: customerId,
-    });
+    await payments.attachMethod(paymentMethodId, customerId);
     console.log('Payment route: Payment method attached', paymentMethodId);
 
     // Get payment method details
-    const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+    const paymentMethod = await payments.retrieveMethod(paymentMethodId);
 
     // Add to user's payment methods
     if (isDefault) {
@@ -158,12 +252,12 @@ router.delete('/methods/:id', protect, async (req, res) => {
 
     const paymentMethod = user.paymentMethods[paymentMethodIndex];
 
-    // Detach from Stripe
+    // Detach from the provider
     if (paymentMethod.stripePaymentMethodId) {
       try {
-        await stripe.paymentMethods.detach(paymentMethod.stripePaymentMethodId);
-      } catch (stripeError) {
-        console.error('Payment route: Stripe detach error:', stripeError);
+        await payments.detachMethod(paymentMethod.stripePaymentMethodId);
+      } catch (providerError) {
+        console.error('Payment route: Payment method detach error:', providerError);
       }
     }
 
@@ -216,46 +310,67 @@ router.put('/methods/:id/default', protect, async (req, res) => {
   }
 });
 
-// @desc    Process payment
+// @desc    Pay for an order with a saved card
 // @route   POST /api/payment/process
 // @access  Private
-router.post('/process', protect, async (req, res) => {
+router.post('/process', protect, idempotent, async (req, res) => {
   try {
     console.log('Payment route: Process payment - Request received', req.body);
-    const { paymentMethodId, amount, currency = 'usd', description } = req.body;
+    const { paymentMethodId, orderId } = req.body;
 
-    if (!paymentMethodId || !amount) {
-      console.log('Payment route: Process payment - Validation failed: Payment method ID or amount is missing');
+    if (!paymentMethodId || !orderId) {
+      console.log('Payment route: Process payment - Validation failed: Payment method ID or order ID is missing');
       return res.status(400).json({
         success: false,
-        message: 'Payment method ID and amount are required'
+        message: 'Payment method ID and order ID are required'
       });
     }
 
+    const order = await findPayableOrder(req, res, orderId);
+    if (!order) return;
     const user = await User.findById(req.user.id);
-    
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100),
-      currency,
-      payment_method: paymentMethodId,
-      customer: user.stripeCustomerId,
-      description,
-      confirm: true,
-      return_url: `${process.env.FRONTEND_URL}/payment-success`
+
+    let paymentIntent = await preparePaymentIntent(order, {
+      customer: user.stripeCustomerId || undefined
     });
-    console.log('Payment route: Stripe PaymentIntent created', paymentIntent.id);
+
+    // The total may have changed since the intent was priced
+    const mismatch = amountMismatch(paymentIntent, order.getAmountDue(), order.currency);
+    if (mismatch) {
+      console.log('Payment route: Process payment - Amount mismatch', paymentIntent.id);
+      return res.status(409).json({
+        success: false,
+        message: mismatch
+      });
+    }
+
+    if (paymentIntent.status !== 'succeeded' && paymentIntent.status !== 'processing') {
+      try {
+        paymentIntent = await payments.confirmIntent(paymentIntent.id, {
+          paymentMethod: paymentMethodId,
+          returnUrl: `${process.env.FRONTEND_URL}/payment-success`
+        });
+      } catch (error) {
+        // A decline leaves the intent to record on the order
+        if (error.type !== 'card_error' || !error.paymentIntent) throw error;
+        paymentIntent = error.paymentIntent;
+      }
+    }
+    console.log('Payment route: PaymentIntent confirmed', paymentIntent.id, paymentIntent.status);
+
+    const updatedOrder = await applyPaymentIntent(paymentIntent, { note: 'Payment confirmed at checkout' });
 
     if (paymentIntent.status === 'succeeded') {
       res.status(200).json({
         success: true,
         message: 'Payment processed successfully',
-        paymentIntent
+        paymentIntent,
+        order: updatedOrder
       });
     } else {
       res.status(400).json({
         success: false,
-        message: 'Payment failed',
+        message: paymentIntent.status === 'requires_action' ? 'Payment requires authentication' : 'Payment failed',
         paymentIntent
       });
     }
@@ -268,41 +383,162 @@ router.post('/process', protect, async (req, res) => {
   }
 });
 
-// @desc    Webhook for Stripe events
+// Bring the order's refunds in line with the provider, including refunds
+// issued from the Stripe dashboard. Accepts a charge or a refund object.
+const reconcileRefunds = async (object) => {
+  const chargeId = object.object === 'refund' ? object.charge : object.id;
+  const paymentIntentId = object.payment_intent;
+  const found = await Order.findOne({
+    'paymentInfo.id': { $in: [chargeId, paymentIntentId].filter(Boolean) }
+  }).select('_id');
+  if (!found) {
+    console.log('Refund reconciliation: no order for charge', chargeId);
+    return null;
+  }
+
+  const refunds = await payments.listRefunds(chargeId);
+  // A full refund restores gift card balances, in the same transaction
+  const { order, changed } = await withTransaction(async (session) => {
+    const current = await Order.findById(found._id).session(session);
+    const changedRefunds = refunds.filter(refund => {
+      const known = current.refunds.find(r => r.stripeRefundId === refund.id);
+      return !known || known.status !== refund.status;
+    });
+    refunds.forEach(refund => {
+      current.recordRefund({
+        stripeRefundId: refund.id,
+        amount: fromMinorUnits(refund.amount, refund.currency),
+        status: refund.status
+      });
+    });
+
+    if (current.amountRefunded > 0 && current.refundInfo.status !== 'rejected') {
+      const settled = current.refunds.every(r => r.status !== 'pending');
+      current.refundInfo.amount = current.getTotalRefunded();
+      current.refundInfo.processedAt = current.refundInfo.processedAt || new Date();
+      current.refundInfo.status = settled ? 'completed' : 'approved';
+    }
+    await current.syncRefundStatus({ note: 'Refund confirmed by Stripe', session });
+    await current.save({ session });
+    return { order: current, changed: changedRefunds };
+  });
+  for (const refund of changed) {
+    await OrderActivity.log({
+      order: order._id,
+      type: 'payment',
+      message: `Stripe refund of ${formatMoney(fromMinorUnits(refund.amount, refund.currency), order.currency)} ${refund.status}`,
+      metadata: { stripeRefundId: refund.id, amount: fromMinorUnits(refund.amount, refund.currency) }
+    });
+  }
+  console.log('Refund reconciliation: order updated', order._id);
+  return order;
+};
+
+// Store a provider event and apply it. Replays of a handled event are
+// acknowledged only. Throws if the event could not be handled, leaving it
+// stored as failed for the provider's retry.
+const handlePaymentEvent = async (event) => {
+  const { stored, duplicate } = await PaymentEvent.receive(event);
+  if (duplicate) {
+    console.log('Webhook: duplicate event', event.id);
+    return { duplicate: true };
+  }
+
+  try {
+    let order = null;
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+      case 'payment_intent.payment_failed':
+      case 'payment_intent.processing':
+      case 'payment_intent.canceled':
+        console.log(`Webhook: ${event.type}`, event.data.object.id);
+        order = await applyPaymentIntent(event.data.object);
+        break;
+      case 'charge.refunded':
+      case 'charge.refund.updated':
+        order = await reconcileRefunds(event.data.object);
+        break;
+      default:
+        console.log(`Unhandled event type ${event.type}`);
+    }
+    // Payments that arrive before their order is created are picked up
+    // when the order links its PaymentIntent
+    await stored.finish(order ? 'processed' : 'ignored', { order: order && order._id });
+  } catch (error) {
+    console.error(`Webhook: ${event.type} handling error:`, error);
+    await stored.finish('failed', { error: error.message }).catch(() => {});
+    throw error;
+  }
+  return { duplicate: false };
+};
+
+// Providers that run in-process (the mock) deliver events directly
+payments.onEvent((event) => {
+  handlePaymentEvent(event).catch((error) => {
+    console.error('Webhook: could not handle in-process event', event.id, error.message);
+  });
+});
+
+// @desc    Webhook for payment provider events
 // @route   POST /api/payment/webhook
 // @access  Public
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
   let event;
-
   try {
-    event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
+    event = await payments.verifyWebhook(req.body, req.headers);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      console.log('Payment succeeded:', paymentIntent.id);
-      // Handle successful payment
-      break;
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      console.log('Payment failed:', failedPayment.id);
-      // Handle failed payment
-      break;
-    default:
-      console.log(`Unhandled event type ${event.type}`);
+  try {
+    const { duplicate } = await handlePaymentEvent(event);
+    res.json({ received: true, ...(duplicate && { duplicate: true }) });
+  } catch (error) {
+    // The provider retries failed deliveries; the stored event is processed again
+    res.status(500).json({ received: false });
   }
-
-  res.json({ received: true });
 });
 
+// The browser confirms intents with Stripe.js; offline, this stands in for it
+if (payments.name === 'mock') {
+  // @desc    Confirm a PaymentIntent as Stripe.js would (mock provider only)
+  // @route   POST /api/payment/mock/confirm
+  // @access  Public (needs the intent's client secret)
+  router.post('/mock/confirm', async (req, res) => {
+    try {
+      const { clientSecret, paymentMethod = 'pm_card_visa' } = req.body;
+      const paymentIntentId = String(clientSecret || '').split('_secret_')[0];
+      const paymentIntent = paymentIntentId && await payments.retrieveIntent(paymentIntentId).catch(() => null);
+      if (!paymentIntent || paymentIntent.client_secret !== clientSecret) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      try {
+        const confirmed = await payments.confirmIntent(paymentIntent.id, { paymentMethod });
+        res.status(200).json({
+          success: true,
+          paymentIntent: confirmed
+        });
+      } catch (error) {
+        if (error.type !== 'card_error') throw error;
+        res.status(402).json({
+          success: false,
+          message: error.message,
+          paymentIntent: error.paymentIntent
+        });
+      }
+    } catch (error) {
+      console.error('Payment route: Mock confirm - Error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Error confirming payment'
+      });
+    }
+  });
+}
+
 module.exports = router; 
\ No newline at end of file
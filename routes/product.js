@@ -1,17 +1,34 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Product = require('../models/Product');
+const Order = require('../models/Order');
 const { protect, authorize } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 const cloudinary = require('../utils/cloudinary');
+const { getRate, getSupportedCurrencies } = require('../utils/currency');
+const { toCents } = require('../utils/money');
 
 const router = express.Router();
 
+// Add prices in the requested currency (?currency=EUR) to a product
+const withPricing = (product, rate) => ({
+  ...product.toJSON(),
+  pricing: { currency: rate.currency, ...product.getPriceIn(rate) }
+});
+
 // @desc    Get all products with filtering, sorting, and pagination
 // @route   GET /api/products
 // @access  Public
 router.get('/', async (req, res) => {
   try {
+    const rate = await getRate(req.query.currency);
+    if (!rate) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency ${req.query.currency} is not supported`
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
@@ -29,11 +46,11 @@ router.get('/', async (req, res) => {
       filter.brand = { $regex: req.query.brand, $options: 'i' };
     }
 
-    // Price range filter
+    // Price range filter (prices are stored in cents)
     if (req.query.minPrice || req.query.maxPrice) {
       filter.price = {};
-      if (req.query.minPrice) filter.price.$gte = parseFloat(req.query.minPrice);
-      if (req.query.maxPrice) filter.price.$lte = parseFloat(req.query.maxPrice);
+      if (req.query.minPrice) filter.price.$gte = toCents(parseFloat(req.query.minPrice));
+      if (req.query.maxPrice) filter.price.$lte = toCents(parseFloat(req.query.maxPrice));
     }
 
     // Color filter
@@ -110,7 +127,7 @@ router.get('/', async (req, res) => {
       total,
       totalPages,
       currentPage: page,
-      products
+      products: products.map(product => withPricing(product, rate))
     });
   } catch (error) {
     console.error('Get products error:', error);
@@ -121,6 +138,25 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @desc    Get supported currencies
+// @route   GET /api/products/currencies
+// @access  Public
+router.get('/currencies', async (req, res) => {
+  try {
+    const currencies = await getSupportedCurrencies();
+    res.status(200).json({
+      success: true,
+      currencies
+    });
+  } catch (error) {
+    console.error('Get currencies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting currencies'
+    });
+  }
+});
+
 // @desc    Get product categories
 // @route   GET /api/products/categories
 // @access  Public
@@ -250,13 +286,21 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const rate = await getRate(req.query.currency);
+    if (!rate) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency ${req.query.currency} is not supported`
+      });
+    }
+
     // Increment view count
     product.viewCount += 1;
     await product.save();
 
     res.status(200).json({
       success: true,
-      product
+      product: withPricing(product, rate)
     });
   } catch (error) {
     console.error('Get product error:', error);
@@ -310,6 +354,7 @@ router.post('/', protect, authorize('admin'), upload.array('images', 10), [
       colors,
       sizes,
       variants,
+      prices,
       stock,
       features,
       specifications,
@@ -369,6 +414,7 @@ router.post('/', protect, authorize('admin'), upload.array('images', 10), [
     if (colors) productData.colors = JSON.parse(colors);
     if (sizes) productData.sizes = JSON.parse(sizes);
     if (variants) productData.variants = JSON.parse(variants);
+    if (prices) productData.prices = JSON.parse(prices);
     if (stock) productData.stock = parseInt(stock);
     if (features) productData.features = JSON.parse(features);
     if (specifications) productData.specifications = JSON.parse(specifications);
@@ -465,10 +511,14 @@ router.put('/:id', protect, authorize('admin'), upload.array('images', 10), asyn
 
     await product.save();
 
+    // Restocked units go to waiting pre-orders and backorders first
+    const allocated = await Order.allocateHeldStock(product._id, req.user.id);
+
     res.status(200).json({
       success: true,
       message: 'Product updated successfully',
-      product
+      product,
+      allocated
     });
   } catch (error) {
     console.error('Update product error:', error);
@@ -0,0 +1,392 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Return = require('../models/Return');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const OrderActivity = require('../models/OrderActivity');
+const { protect, authorize } = require('../middleware/auth');
+const sendOrderEmail = require('../utils/orderEmail');
+const withTransaction = require('../utils/transaction');
+
+const router = express.Router();
+
+// @desc    Request a return for order items
+// @route   POST /api/returns
+// @access  Private
+router.post('/', protect, [
+  body('order')
+    .notEmpty()
+    .withMessage('Order ID is required'),
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item is required'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Return reason is required')
+], async (req, res) => {
+  try {
+    console.log('Return route: POST /api/returns - Request received', req.body);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.body.order);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.user || order.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to return items from this order'
+      });
+    }
+
+    if (!order.canBeRefunded()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order cannot be returned at this stage'
+      });
+    }
+
+    const { items, error } = await Return.buildItems(order, req.body.items);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const ret = new Return({
+      order: order._id,
+      user: req.user.id,
+      items,
+      reason: req.body.reason
+    });
+    ret.calculateRefund(order);
+    await ret.save();
+    console.log('Return route: Return requested', ret.returnNumber);
+    await OrderActivity.log({
+      order: order._id,
+      type: 'return',
+      message: `Return ${ret.returnNumber} requested`,
+      actor: req.user.id,
+      metadata: { return: ret._id }
+    });
+
+    await sendOrderEmail(order, {
+      subject: `Return ${ret.returnNumber} - ${order.orderNumber}`,
+      message: `We received your return request ${ret.returnNumber}. We will let you know once it has been reviewed.`
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      return: ret
+    });
+  } catch (error) {
+    console.error('Return route: POST /api/returns - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting return'
+    });
+  }
+});
+
+// @desc    Get returns of the current user
+// @route   GET /api/returns
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const returns = await Return.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .populate('order', 'orderNumber');
+
+    res.status(200).json({
+      success: true,
+      returns
+    });
+  } catch (error) {
+    console.error('Return route: GET /api/returns - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting returns'
+    });
+  }
+});
+
+// @desc    Get all returns (Admin only)
+// @route   GET /api/returns/admin/all
+// @access  Private/Admin
+router.get('/admin/all', protect, authorize('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const returns = await Return.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber');
+
+    const total = await Return.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      total,
+      totalPages,
+      currentPage: page,
+      returns
+    });
+  } catch (error) {
+    console.error('Return route: GET /api/returns/admin/all - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting returns'
+    });
+  }
+});
+
+// @desc    Get single return
+// @route   GET /api/returns/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const ret = await Return.findById(req.params.id).populate('order', 'orderNumber status');
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && (!ret.user || ret.user.toString() !== req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this return'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      return: ret
+    });
+  } catch (error) {
+    console.error('Return route: GET /api/returns/:id - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting return'
+    });
+  }
+});
+
+// @desc    Approve return (Admin only)
+// @route   PUT /api/returns/:id/approve
+// @access  Private/Admin
+router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
+  try {
+    const ret = await Return.findById(req.params.id);
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    const transitionError = ret.getTransitionError('approved');
+    if (transitionError) {
+      return res.status(409).json({
+        success: false,
+        message: transitionError
+      });
+    }
+
+    ret.updateStatus('approved', req.body.note, req.user.id);
+    if (req.body.note) {
+      ret.adminNote = req.body.note;
+    }
+    await ret.save();
+    await OrderActivity.log({
+      order: ret.order,
+      type: 'return',
+      message: `Return ${ret.returnNumber} approved${req.body.note ? ': ' + req.body.note : ''}`,
+      actor: req.user.id,
+      metadata: { return: ret._id }
+    });
+
+    const order = await Order.findById(ret.order);
+    if (order) {
+      await sendOrderEmail(order, {
+        subject: `Return ${ret.returnNumber} - ${order.orderNumber}`,
+        message: `Your return ${ret.returnNumber} has been approved. Please send the items back to us.${req.body.note ? '\nNote: ' + req.body.note : ''}`
+      }, req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Return approved successfully',
+      return: ret
+    });
+  } catch (error) {
+    console.error('Return route: PUT /api/returns/:id/approve - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving return'
+    });
+  }
+});
+
+// @desc    Reject return (Admin only)
+// @route   PUT /api/returns/:id/reject
+// @access  Private/Admin
+router.put('/:id/reject', protect, authorize('admin'), [
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason for the rejection is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const ret = await Return.findById(req.params.id);
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    const transitionError = ret.getTransitionError('rejected');
+    if (transitionError) {
+      return res.status(409).json({
+        success: false,
+        message: transitionError
+      });
+    }
+
+    ret.updateStatus('rejected', req.body.note, req.user.id);
+    ret.adminNote = req.body.note;
+    await ret.save();
+    await OrderActivity.log({
+      order: ret.order,
+      type: 'return',
+      message: `Return ${ret.returnNumber} rejected${req.body.note ? ': ' + req.body.note : ''}`,
+      actor: req.user.id,
+      metadata: { return: ret._id }
+    });
+
+    const order = await Order.findById(ret.order);
+    if (order) {
+      await sendOrderEmail(order, {
+        subject: `Return ${ret.returnNumber} - ${order.orderNumber}`,
+        message: `Your return ${ret.returnNumber} has been rejected.\nReason: ${req.body.note}`
+      }, req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Return rejected successfully',
+      return: ret
+    });
+  } catch (error) {
+    console.error('Return route: PUT /api/returns/:id/reject - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting return'
+    });
+  }
+});
+
+// @desc    Mark returned items as received and restock them (Admin only)
+// @route   PUT /api/returns/:id/receive
+// @access  Private/Admin
+router.put('/:id/receive', protect, authorize('admin'), async (req, res) => {
+  try {
+    // Optional per-line restock flags: { items: [{ orderItem, restock }] }
+    const restockOverrides = Array.isArray(req.body.items) ? req.body.items : [];
+
+    const ret = await withTransaction(async (session) => {
+      const current = await Return.findById(req.params.id).session(session);
+      if (!current) return null;
+
+      const transitionError = current.getTransitionError('received');
+      if (transitionError) {
+        const error = new Error(transitionError);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      current.items.forEach(item => {
+        const override = restockOverrides.find(entry => entry && entry.orderItem === item.orderItem.toString());
+        if (override && typeof override.restock === 'boolean') {
+          item.restock = override.restock;
+        }
+      });
+
+      const restockItems = current.items.filter(item => item.restock && !item.restocked);
+      await Product.releaseStock(restockItems, session);
+      restockItems.forEach(item => {
+        item.restocked = true;
+      });
+
+      current.updateStatus('received', req.body.note, req.user.id);
+      await current.save({ session });
+      return current;
+    });
+
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    await OrderActivity.log({
+      order: ret.order,
+      type: 'return',
+      message: `Return ${ret.returnNumber} received`,
+      actor: req.user.id,
+      metadata: { return: ret._id, restocked: ret.items.filter(item => item.restocked).length }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Return received successfully',
+      return: ret
+    });
+  } catch (error) {
+    console.error('Return route: PUT /api/returns/:id/receive - Error:', error);
+    if (error.statusCode === 409) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error receiving return'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,439 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Subscription = require('../models/Subscription');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const withTransaction = require('../utils/transaction');
+const { BASE_CURRENCY, getRate } = require('../utils/currency');
+
+const router = express.Router();
+
+const frequencyValidator = body('frequencyMonths')
+  .isIn(Subscription.FREQUENCIES)
+  .withMessage(`Frequency must be ${Subscription.FREQUENCIES.join(', ')} month(s)`);
+
+// Load one of the current user's subscriptions, or send a 404
+const findOwnSubscription = async (req, res) => {
+  const subscription = await Subscription.findOne({ _id: req.params.id, user: req.user.id });
+  if (!subscription) {
+    res.status(404).json({
+      success: false,
+      message: 'Subscription not found'
+    });
+  }
+  return subscription;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    errors: errors.array()
+  });
+  return true;
+};
+
+// @desc    Get current user's subscriptions
+// @route   GET /api/subscriptions
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const subscriptions = await Subscription.find({ user: req.user.id })
+      .populate('items.product', 'name images price')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      subscriptions
+    });
+  } catch (error) {
+    console.error('Subscription route: GET /api/subscriptions - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting subscriptions'
+    });
+  }
+});
+
+// @desc    Get a subscription
+// @route   GET /api/subscriptions/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    await subscription.populate('items.product', 'name images price');
+    await subscription.populate('lastOrder', 'orderNumber status totalPrice currency createdAt');
+    res.status(200).json({
+      success: true,
+      subscription
+    });
+  } catch (error) {
+    console.error('Subscription route: GET /api/subscriptions/:id - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting subscription'
+    });
+  }
+});
+
+// @desc    Subscribe to recurring deliveries
+// @route   POST /api/subscriptions
+// @access  Private
+router.post('/', protect, [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item is required'),
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Each item needs a valid product ID'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Each item needs a quantity of at least 1'),
+  frequencyValidator,
+  body('paymentMethodId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid payment method ID'),
+  body('addressId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid address ID'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date')
+], async (req, res) => {
+  try {
+    console.log('Subscription route: POST /api/subscriptions - Request received', req.body);
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findById(req.user.id);
+
+    // Saved card to charge: the one given, or the default
+    const paymentMethod = req.body.paymentMethodId
+      ? user.paymentMethods.id(req.body.paymentMethodId)
+      : user.paymentMethods.find(method => method.isDefault) || user.paymentMethods[0];
+    if (!paymentMethod || !paymentMethod.stripePaymentMethodId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A saved card is required for subscriptions'
+      });
+    }
+
+    // Ship to a saved address or to the address given
+    let shippingAddress = req.body.shippingAddress;
+    if (req.body.addressId) {
+      const address = user.addresses.id(req.body.addressId);
+      if (!address) {
+        return res.status(400).json({
+          success: false,
+          message: 'Address not found'
+        });
+      }
+      const { name, address: street, city, state, zipCode, country } = address;
+      shippingAddress = { name, address: street, city, state, zipCode, country, phone: req.body.phone || user.phone };
+    }
+    if (!shippingAddress) {
+      return res.status(400).json({
+        success: false,
+        message: 'A shipping address is required'
+      });
+    }
+
+    const rate = await getRate(req.body.currency || BASE_CURRENCY);
+    if (!rate) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency ${req.body.currency} is not supported`
+      });
+    }
+
+    const items = [];
+    for (const item of req.body.items) {
+      const product = await Product.findById(item.product);
+      if (!product || !product.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: `Product ${item.product} not found`
+        });
+      }
+      if (product.productType === 'gift_card') {
+        return res.status(400).json({
+          success: false,
+          message: 'Gift cards cannot be ordered by subscription'
+        });
+      }
+      if (product.variants.length > 0 && !product.findVariant(item.color, item.size)) {
+        return res.status(400).json({
+          success: false,
+          message: `${product.name} is not available in that color and size`
+        });
+      }
+      items.push({
+        product: product._id,
+        name: product.name,
+        quantity: item.quantity,
+        color: item.color,
+        size: item.size
+      });
+    }
+
+    const startDate = req.body.startDate ? new Date(req.body.startDate) : new Date();
+    const subscription = await Subscription.create({
+      user: user._id,
+      items,
+      frequencyMonths: req.body.frequencyMonths,
+      paymentMethod: paymentMethod._id,
+      shippingAddress,
+      currency: rate.currency,
+      nextOrderDate: startDate > new Date() ? startDate : new Date()
+    });
+    console.log('Subscription route: Subscription created', subscription._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created successfully',
+      subscription
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Subscription route: POST /api/subscriptions - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating subscription'
+    });
+  }
+});
+
+// @desc    Pause a subscription, optionally until a date
+// @route   PUT /api/subscriptions/:id/pause
+// @access  Private
+router.put('/:id/pause', protect, [
+  body('resumeAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Resume date must be a valid date')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    if (subscription.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `A ${subscription.status} subscription cannot be paused`
+      });
+    }
+
+    subscription.pause(req.body.resumeAt ? new Date(req.body.resumeAt) : null);
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription paused',
+      subscription
+    });
+  } catch (error) {
+    console.error('Subscription route: PUT /api/subscriptions/:id/pause - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error pausing subscription'
+    });
+  }
+});
+
+// @desc    Resume a paused subscription
+// @route   PUT /api/subscriptions/:id/resume
+// @access  Private
+router.put('/:id/resume', protect, async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    if (subscription.status !== 'paused') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only paused subscriptions can be resumed'
+      });
+    }
+
+    subscription.resume();
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription resumed',
+      subscription
+    });
+  } catch (error) {
+    console.error('Subscription route: PUT /api/subscriptions/:id/resume - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming subscription'
+    });
+  }
+});
+
+// @desc    Skip the next delivery
+// @route   PUT /api/subscriptions/:id/skip
+// @access  Private
+router.put('/:id/skip', protect, async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    if (!['active', 'paused'].includes(subscription.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${subscription.status} subscription cannot skip a delivery`
+      });
+    }
+
+    subscription.skip();
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Next delivery moved to ${subscription.nextOrderDate.toDateString()}`,
+      subscription
+    });
+  } catch (error) {
+    console.error('Subscription route: PUT /api/subscriptions/:id/skip - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error skipping delivery'
+    });
+  }
+});
+
+// @desc    Change how often the subscription delivers
+// @route   PUT /api/subscriptions/:id/frequency
+// @access  Private
+router.put('/:id/frequency', protect, [frequencyValidator], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is cancelled'
+      });
+    }
+
+    subscription.setFrequency(parseInt(req.body.frequencyMonths, 10));
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription frequency updated',
+      subscription
+    });
+  } catch (error) {
+    console.error('Subscription route: PUT /api/subscriptions/:id/frequency - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating subscription frequency'
+    });
+  }
+});
+
+// @desc    Change the saved card; a past due payment is retried on the next run
+// @route   PUT /api/subscriptions/:id/payment-method
+// @access  Private
+router.put('/:id/payment-method', protect, [
+  body('paymentMethodId')
+    .isMongoId()
+    .withMessage('Invalid payment method ID')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    const user = await User.findById(req.user.id);
+    const paymentMethod = user.paymentMethods.id(req.body.paymentMethodId);
+    if (!paymentMethod || !paymentMethod.stripePaymentMethodId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment method not found'
+      });
+    }
+
+    subscription.paymentMethod = paymentMethod._id;
+    if (subscription.status === 'past_due') {
+      subscription.nextRetryAt = new Date();
+    }
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription payment method updated',
+      subscription
+    });
+  } catch (error) {
+    console.error('Subscription route: PUT /api/subscriptions/:id/payment-method - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating payment method'
+    });
+  }
+});
+
+// @desc    Cancel a subscription
+// @route   PUT /api/subscriptions/:id/cancel
+// @access  Private
+router.put('/:id/cancel', protect, async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is already cancelled'
+      });
+    }
+
+    // An unpaid order from a past due cycle would otherwise hold its stock
+    if (subscription.pendingOrder) {
+      await withTransaction(async (session) => {
+        const order = await Order.findById(subscription.pendingOrder).session(session);
+        if (order && order.status === 'pending') {
+          await order.transitionTo('cancelled', { note: 'Subscription cancelled by customer', session, actor: req.user.id });
+          await order.save({ session });
+        }
+      });
+      subscription.pendingOrder = undefined;
+    }
+
+    subscription.cancel(req.body.reason || 'Cancelled by customer');
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription cancelled',
+      subscription
+    });
+  } catch (error) {
+    console.error('Subscription route: PUT /api/subscriptions/:id/cancel - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling subscription'
+    });
+  }
+});
+
+module.exports = router;
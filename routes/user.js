@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
 const { protect } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 const cloudinary = require('../utils/cloudinary');
@@ -435,6 +436,77 @@ router.get('/payment-methods', protect, async (req, res) => {
   }
 });
 
+// @desc    Get loyalty points balance
+// @route   GET /api/user/loyalty
+// @access  Private
+router.get('/loyalty', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const { earnRates, pointValue } = LoyaltyTransaction.getSettings();
+
+    // Points that expire in the next 30 days
+    const soon = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    const expiring = await LoyaltyTransaction.aggregate([
+      { $match: { user: user._id, remaining: { $gt: 0 }, expiresAt: { $gt: new Date(), $lte: soon } } },
+      { $group: { _id: null, points: { $sum: '$remaining' }, nextExpiry: { $min: '$expiresAt' } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      loyalty: {
+        points: user.loyaltyPoints,
+        value: LoyaltyTransaction.pointsToAmount(Math.max(user.loyaltyPoints, 0)),
+        memberTier: user.memberTier,
+        earnRate: earnRates[user.memberTier] !== undefined ? earnRates[user.memberTier] : 1,
+        pointValue,
+        expiringSoon: expiring.length ? expiring[0].points : 0,
+        nextExpiry: expiring.length ? expiring[0].nextExpiry : null
+      }
+    });
+  } catch (error) {
+    console.error('Get loyalty error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting loyalty points'
+    });
+  }
+});
+
+// @desc    Get loyalty points history
+// @route   GET /api/user/loyalty/history
+// @access  Private
+router.get('/loyalty/history', protect, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user.id };
+    const transactions = await LoyaltyTransaction.find(filter)
+      .select('-remaining')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('order', 'orderNumber');
+    const total = await LoyaltyTransaction.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      transactions
+    });
+  } catch (error) {
+    console.error('Get loyalty history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting loyalty history'
+    });
+  }
+});
+
 // @desc    Update user preferences
 // @route   PUT /api/user/preferences
 // @access  Private
@@ -20,16 +20,27 @@ const reviewRoutes = require('./routes/review');
 const blogRoutes = require('./routes/blog');
 const adminRoutes = require('./routes/admin');
 const contactRoutes = require('./routes/contact');
+const returnRoutes = require('./routes/return');
+const subscriptionRoutes = require('./routes/subscription');
+const giftCardRoutes = require('./routes/giftCard');
+
+// Background jobs
+const registerJobs = require('./utils/jobs');
+const { startJobs } = require('./utils/jobRunner');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
 
 const app = express();
+registerJobs();
 
 // Trust proxy for Vercel deployment - must be set before any middleware
 app.set('trust proxy', true);
 
+// Tests connect their own database and drive the app through supertest
+const isTest = process.env.NODE_ENV === 'test';
+
 // Connect the database
 console.log('Environment variables:', {
   MONGODB_URI: process.env.MONGODB_URI ? 'Set' : 'Not set',
@@ -37,23 +48,29 @@ console.log('Environment variables:', {
   PORT: process.env.PORT
 });
 
-if (!process.env.MONGODB_URI) {
+if (!process.env.MONGODB_URI && !isTest) {
   console.error('MONGODB_URI is not set in environment variables');
   process.exit(1);
 }
 
-mongoose.connect(process.env.MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(conn => {
-  console.log(`MongoDB Connected: ${conn.connection.host}`);
-  console.log('good to go')
-})
-.catch(error => {
-  console.error('Database connection error:', error);
-  process.exit(1);
-});
+if (!isTest) {
+  mongoose.connect(process.env.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(conn => {
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+    console.log('good to go')
+    // Serverless deployments trigger jobs through /api/admin/jobs instead
+    if (process.env.JOBS_ENABLED !== 'false' && !process.env.VERCEL) {
+      startJobs();
+    }
+  })
+  .catch(error => {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  });
+}
 
 // Security middleware
 app.use(helmet());
@@ -80,8 +97,8 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['Content-Length', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Idempotency-Key', 'X-Order-Token'],
+  exposedHeaders: ['Content-Length', 'X-Requested-With', 'Idempotent-Replayed'],
   preflightContinue: false,
   optionsSuccessStatus: 204
 }));
@@ -99,6 +116,8 @@ app.use((req, res, next) => {
 });
 
 // Body parsing middleware
+// Stripe webhooks are verified against the raw body, so parse it first
+app.use('/api/payment/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
@@ -133,6 +152,9 @@ app.use('/api/reviews', reviewRoutes);
 app.use('/api/blogs', blogRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -154,15 +176,19 @@ app.get('api/admin/orders/number/:orderNumber', async (req, res) => {
   }
 });
 // Start server
-const PORT = process.env.PORT || 5000;
-const server = app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV}`);
-});
+if (!isTest) {
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV}`);
+  });
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err, promise) => {
-  console.log(`Error: ${err.message}`);
-  // Close server & exit process
-  process.exit(1);
-});
\ No newline at end of file
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (err, promise) => {
+    console.log(`Error: ${err.message}`);
+    // Close server & exit process
+    process.exit(1);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,149 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { roundHalfUp } = require('./money');
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// Rate settings for the base currency itself
+const BASE_RATE = {
+  currency: BASE_CURRENCY,
+  rate: 1,
+  decimals: 2,
+  roundingIncrement: 0,
+  roundingMode: 'nearest'
+};
+
+const ROUNDERS = {
+  nearest: Math.round,
+  up: Math.ceil,
+  down: Math.floor
+};
+
+// Round an amount using a currency's rounding rules
+const roundAmount = (amount, rate = BASE_RATE) => {
+  const round = ROUNDERS[rate.roundingMode] || Math.round;
+  const factor = 10 ** (rate.decimals !== undefined ? rate.decimals : 2);
+  const increment = rate.roundingIncrement > 0 ? rate.roundingIncrement : 1 / factor;
+  // Work in minor units to avoid floating point drift
+  const step = Math.round(increment * factor);
+  const units = round(Math.round(amount * factor * 1e6) / 1e6 / step) * step;
+  return units / factor;
+};
+
+// Convert an amount in the base currency and round it
+const convertAmount = (amount, rate = BASE_RATE) => (rate.rate === 1 && rate.currency === BASE_CURRENCY
+  ? amount
+  : roundAmount(amount * rate.rate, rate));
+
+// Exchange rate for a currency code, or null if it is not supported
+const getRate = async (currency) => {
+  const code = (currency || BASE_CURRENCY).toString().trim().toUpperCase();
+  if (code === BASE_CURRENCY) return BASE_RATE;
+  const rate = await ExchangeRate.findOne({ currency: code, isActive: true }).lean();
+  return rate || null;
+};
+
+const getSupportedCurrencies = async () => {
+  const rates = await ExchangeRate.find({ isActive: true }).select('currency rate decimals').sort({ currency: 1 }).lean();
+  return [{ currency: BASE_CURRENCY, rate: 1, decimals: 2 }, ...rates.map(({ currency, rate, decimals }) => ({ currency, rate, decimals }))];
+};
+
+const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  } catch (error) {
+    return `${(amount || 0).toFixed(2)} ${currency}`;
+  }
+};
+
+// Stripe amounts are integers in the currency's smallest unit
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+const currencyDecimals = currency => (ZERO_DECIMAL_CURRENCIES.includes((currency || BASE_CURRENCY).toUpperCase()) ? 0 : 2);
+const minorUnitFactor = currency => 10 ** currencyDecimals(currency);
+// Cents in the currency's smallest unit; stored amounts are multiples of it
+const centsPerMinorUnit = currency => 100 / minorUnitFactor(currency);
+// Same rounding as stored amounts, so charges match the order to the cent
+const toMinorUnits = (amount, currency) => roundHalfUp(amount * minorUnitFactor(currency));
+const fromMinorUnits = (amount, currency) => amount / minorUnitFactor(currency);
+
+// Prices are stored in cents and charged in the currency's minor units, so
+// they cannot have more decimals than either allows
+const isValidDecimals = (currency, decimals) => Number.isInteger(decimals)
+  && decimals >= 0
+  && decimals <= currencyDecimals(currency);
+
+// Parse the local exchange rate import format. Either JSON
+// ({ "EUR": 0.92 } or [{ "currency": "EUR", "rate": 0.92, ... }]) or CSV
+// lines of `currency,rate[,decimals,roundingIncrement,roundingMode]`;
+// blank lines, `#` comments and a header row are ignored.
+const parseRatesImport = (input) => {
+  const text = typeof input === 'string' ? input.trim() : JSON.stringify(input);
+  const rows = [];
+  const errors = [];
+
+  if (text.startsWith('{') || text.startsWith('[')) {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data)
+      ? data
+      : Object.entries(data).map(([currency, rate]) => ({ currency, rate }));
+    entries.forEach(entry => rows.push({ ...entry }));
+  } else {
+    text.split(/\r?\n/).forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#') || /^currency\s*,/i.test(trimmed)) return;
+      const [currency, rate, decimals, roundingIncrement, roundingMode] = trimmed.split(',').map(part => part.trim());
+      rows.push({ line: index + 1, currency, rate, decimals, roundingIncrement, roundingMode });
+    });
+  }
+
+  const rates = [];
+  rows.forEach((row) => {
+    const currency = (row.currency || '').toString().toUpperCase();
+    const rate = parseFloat(row.rate);
+    const label = row.line ? `Line ${row.line}` : currency || 'Entry';
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      errors.push(`${label}: invalid currency code`);
+      return;
+    }
+    if (currency === BASE_CURRENCY) {
+      errors.push(`${label}: ${BASE_CURRENCY} is the base currency`);
+      return;
+    }
+    if (!(rate > 0)) {
+      errors.push(`${label}: rate must be a positive number`);
+      return;
+    }
+    if (row.decimals !== undefined && row.decimals !== '' && !isValidDecimals(currency, Number(row.decimals))) {
+      errors.push(`${label}: ${currency} amounts have at most ${currencyDecimals(currency)} decimals`);
+      return;
+    }
+    if (row.roundingMode && !ROUNDERS[row.roundingMode]) {
+      errors.push(`${label}: rounding mode must be nearest, up or down`);
+      return;
+    }
+    rates.push({
+      currency,
+      rate,
+      ...(row.decimals !== undefined && row.decimals !== '' && { decimals: parseInt(row.decimals, 10) }),
+      ...(row.roundingIncrement !== undefined && row.roundingIncrement !== '' && { roundingIncrement: parseFloat(row.roundingIncrement) }),
+      ...(row.roundingMode && { roundingMode: row.roundingMode })
+    });
+  });
+
+  return { rates, errors };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  BASE_RATE,
+  roundAmount,
+  convertAmount,
+  getRate,
+  getSupportedCurrencies,
+  formatMoney,
+  currencyDecimals,
+  centsPerMinorUnit,
+  toMinorUnits,
+  fromMinorUnits,
+  isValidDecimals,
+  parseRatesImport
+};
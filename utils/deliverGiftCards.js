@@ -0,0 +1,121 @@
+const Order = require('../models/Order');
+const GiftCard = require('../models/GiftCard');
+const OrderActivity = require('../models/OrderActivity');
+const sendEmail = require('./sendEmail');
+const { formatMoney } = require('./currency');
+
+const BATCH_SIZE = 50;
+
+// Paid orders whose gift cards can go out; held or cancelled orders wait
+const DELIVERABLE_STATUSES = ['processing', 'partially_shipped', 'shipped', 'delivered'];
+
+const isGiftCardLine = item => Boolean(item.giftCard && item.giftCard.recipientEmail);
+
+const sendGiftCardEmail = (giftCard, code, order) => {
+  const from = giftCard.senderName || (order && order.shippingAddress && order.shippingAddress.name) || 'Someone';
+  const message = [
+    `${from} sent you a gift card worth ${formatMoney(giftCard.initialBalance, giftCard.currency)}!`,
+    giftCard.message ? `\n"${giftCard.message}"` : '',
+    `\nYour gift card code: ${code}`,
+    `\nEnter the code in your cart at checkout. It is valid until ${giftCard.expiresAt.toDateString()}.`,
+    'Keep this email: the code cannot be shown again.'
+  ].join('\n');
+  return sendEmail({
+    email: giftCard.recipient.email,
+    subject: 'You have received a gift card',
+    message
+  });
+};
+
+// Issue a card and email its code. A card whose email fails is deleted
+// before anyone has seen its code, so the next run issues a fresh one.
+const issueAndSend = async (details, order = null) => {
+  const { giftCard, code } = await GiftCard.issue(details);
+  try {
+    await sendGiftCardEmail(giftCard, code, order);
+  } catch (error) {
+    await GiftCard.deleteOne({ _id: giftCard._id });
+    throw error;
+  }
+  giftCard.deliveredAt = new Date();
+  await giftCard.save();
+  return giftCard;
+};
+
+// Issue and email the gift cards bought on a paid order. Safe to call more
+// than once: each card of a line has a sequence number and is issued once.
+// Returns the number of cards sent.
+const deliverOrderGiftCards = async (order) => {
+  const lines = order.items.filter(isGiftCardLine);
+  if (lines.length === 0 || order.giftCardsDeliveredAt) return 0;
+  if (order.paymentInfo.status !== 'succeeded' || !DELIVERABLE_STATUSES.includes(order.status)) return 0;
+
+  let sent = 0;
+  let pending = 0;
+  for (const item of lines) {
+    const issued = await GiftCard.find({ order: order._id, orderItem: item._id }).select('sequence');
+    const sequences = new Set(issued.map(card => card.sequence));
+
+    for (let sequence = 0; sequence < item.quantity; sequence++) {
+      if (sequences.has(sequence)) continue;
+      try {
+        const giftCard = await issueAndSend({
+          amount: item.price,
+          currency: order.currency,
+          purchaser: order.user,
+          order: order._id,
+          orderItem: item._id,
+          sequence,
+          recipient: { name: item.giftCard.recipientName, email: item.giftCard.recipientEmail },
+          senderName: order.shippingAddress && order.shippingAddress.name,
+          message: item.giftCard.message,
+          note: `Bought on order ${order.orderNumber}`
+        }, order);
+        await OrderActivity.log({
+          order: order._id,
+          type: 'fulfillment',
+          message: `Gift card ending ${giftCard.last4} (${formatMoney(giftCard.initialBalance, giftCard.currency)}) emailed to ${giftCard.recipient.email}`,
+          metadata: { giftCardId: giftCard._id }
+        });
+        sent += 1;
+      } catch (error) {
+        // Another run issued this card first
+        if (error.code === 11000) continue;
+        console.error('Gift card delivery: could not send card for order', order.orderNumber, error.message);
+        pending += 1;
+      }
+    }
+  }
+
+  if (pending === 0) {
+    await Order.updateOne({ _id: order._id }, { $set: { giftCardsDeliveredAt: new Date() } });
+  }
+  return sent;
+};
+
+// Job: deliver gift cards for paid orders that still owe some, including
+// orders marked paid outside the payment webhook
+const deliverGiftCards = async () => {
+  const orders = await Order.find({
+    'items.giftCard.recipientEmail': { $exists: true, $ne: null },
+    'paymentInfo.status': 'succeeded',
+    status: { $in: DELIVERABLE_STATUSES },
+    giftCardsDeliveredAt: null
+  }).limit(BATCH_SIZE);
+
+  let sent = 0;
+  for (const order of orders) {
+    try {
+      sent += await deliverOrderGiftCards(order);
+    } catch (error) {
+      console.error('Gift card delivery: failed for order', order.orderNumber, error);
+    }
+  }
+  return { orders: orders.length, sent };
+};
+
+module.exports = {
+  deliverGiftCards,
+  deliverOrderGiftCards,
+  issueAndSend
+};
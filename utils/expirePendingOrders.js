@@ -0,0 +1,108 @@
+const Order = require('../models/Order');
+const OrderActivity = require('../models/OrderActivity');
+const sendOrderEmail = require('./orderEmail');
+const withTransaction = require('./transaction');
+
+const MINUTE = 60 * 1000;
+const EXPIRE_MINUTES = parseInt(process.env.PENDING_ORDER_EXPIRE_MINUTES, 10) || 24 * 60;
+// Unset to skip the reminder email
+const REMINDER_MINUTES = parseInt(process.env.PENDING_ORDER_REMINDER_MINUTES, 10) || null;
+const BATCH_SIZE = 100;
+
+// Payment statuses that mean the customer has paid
+const PAID_STATUSES = ['succeeded', 'paid', 'completed'];
+
+// Subscription orders are retried and cancelled by the subscription dunning.
+// Orders held for fraud review cannot be paid, so they only expire.
+const unpaidPendingFilter = (olderThan, statuses = ['pending']) => ({
+  status: { $in: statuses },
+  'paymentInfo.status': { $nin: PAID_STATUSES },
+  subscription: null,
+  createdAt: { $lte: olderThan }
+});
+
+const formatWindow = (minutes) => {
+  if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)} day(s)`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour(s)`;
+  return `${minutes} minute(s)`;
+};
+
+// Email a "complete your purchase" link once, before the order expires
+const sendPaymentReminders = async () => {
+  if (!REMINDER_MINUTES || REMINDER_MINUTES >= EXPIRE_MINUTES) return 0;
+
+  const orders = await Order.find({
+    ...unpaidPendingFilter(new Date(Date.now() - REMINDER_MINUTES * MINUTE)),
+    paymentReminderSentAt: null
+  }).limit(BATCH_SIZE);
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  let sent = 0;
+  for (const order of orders) {
+    // Claim the reminder first so concurrent runs never email twice
+    const claimed = await Order.updateOne(
+      { _id: order._id, paymentReminderSentAt: null },
+      { $set: { paymentReminderSentAt: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const expiresAt = new Date(order.createdAt.getTime() + EXPIRE_MINUTES * MINUTE);
+    const link = `${frontendUrl}/order-tracking/${order.orderNumber}?token=${order.getAccessToken()}`;
+    try {
+      await sendOrderEmail(order, {
+        subject: `Complete your purchase - ${order.orderNumber}`,
+        message: `We have not received payment for your order ${order.orderNumber} yet.\n\nComplete your purchase: ${link}\n\nThe items are reserved for you until ${expiresAt.toUTCString()}, after which the order will be cancelled.`
+      });
+      sent += 1;
+    } catch (error) {
+      console.error('Pending order expiry: reminder email failed for', order.orderNumber, error);
+    }
+  }
+  return sent;
+};
+
+// Cancel unpaid pending and held orders older than the expiry window.
+// Cancelling releases their reserved stock through the order state machine.
+const EXPIRING_STATUSES = ['pending', 'on_hold'];
+const cancelExpiredOrders = async () => {
+  const cutoff = new Date(Date.now() - EXPIRE_MINUTES * MINUTE);
+  const orders = await Order.find(unpaidPendingFilter(cutoff, EXPIRING_STATUSES))
+    .select('_id orderNumber')
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let cancelled = 0;
+  for (const { _id, orderNumber } of orders) {
+    try {
+      const order = await withTransaction(async (session) => {
+        // Re-check inside the transaction in case payment just arrived
+        const current = await Order.findOne({ _id, ...unpaidPendingFilter(cutoff, EXPIRING_STATUSES) }).session(session);
+        if (!current) return null;
+        await current.transitionTo('cancelled', {
+          note: `Cancelled automatically: payment not completed within ${formatWindow(EXPIRE_MINUTES)}`,
+          session
+        });
+        await current.save({ session });
+        return current;
+      });
+      if (!order) continue;
+      await OrderActivity.log({
+        order: order._id,
+        type: 'system',
+        message: 'Unpaid order expired and stock released'
+      });
+      cancelled += 1;
+    } catch (error) {
+      console.error('Pending order expiry: could not cancel', orderNumber, error);
+    }
+  }
+  return cancelled;
+};
+
+const expirePendingOrders = async () => {
+  const reminded = await sendPaymentReminders();
+  const cancelled = await cancelExpiredOrders();
+  return { reminded, cancelled };
+};
+
+module.exports = expirePendingOrders;
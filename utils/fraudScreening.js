@@ -0,0 +1,150 @@
+const Order = require('../models/Order');
+
+const HOLD_SCORE = parseInt(process.env.FRAUD_HOLD_SCORE, 10) || 50;
+const HIGH_VALUE_AMOUNT = parseFloat(process.env.FRAUD_HIGH_VALUE_AMOUNT) || 500;
+const VELOCITY_LIMIT = parseInt(process.env.FRAUD_VELOCITY_LIMIT, 10) || 3;
+const VELOCITY_WINDOW_HOURS = parseInt(process.env.FRAUD_VELOCITY_WINDOW_HOURS, 10) || 24;
+const FAILED_PAYMENT_LIMIT = parseInt(process.env.FRAUD_FAILED_PAYMENT_LIMIT, 10) || 2;
+
+// FRAUD_DISABLED_RULES=order_velocity,country_mismatch
+const DISABLED_RULES = (process.env.FRAUD_DISABLED_RULES || '')
+  .split(',').map(name => name.trim()).filter(Boolean);
+
+// FRAUD_RULE_SCORES=address_mismatch:30,high_value_first_order:40
+const SCORE_OVERRIDES = (process.env.FRAUD_RULE_SCORES || '')
+  .split(',').reduce((scores, entry) => {
+    const [name, score] = entry.split(':').map(part => part && part.trim());
+    if (name && !Number.isNaN(parseInt(score, 10))) scores[name] = parseInt(score, 10);
+    return scores;
+  }, {});
+
+const COUNTRY_ALIASES = {
+  USA: 'US',
+  'UNITED STATES': 'US',
+  'UNITED STATES OF AMERICA': 'US',
+  UK: 'GB',
+  'UNITED KINGDOM': 'GB',
+  'GREAT BRITAIN': 'GB'
+};
+
+const normalize = value => (value || '').toString().trim().toUpperCase().replace(/\s+/g, ' ');
+const normalizeCountry = country => COUNTRY_ALIASES[normalize(country)] || normalize(country);
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Orders placed by the same customer (account or email), excluding this one
+const customerFilter = (order) => {
+  const or = [];
+  if (order.user) or.push({ user: order.user });
+  if (order.shippingAddress && order.shippingAddress.email) {
+    or.push({ 'shippingAddress.email': new RegExp(`^${escapeRegex(order.shippingAddress.email.trim())}$`, 'i') });
+  }
+  return { _id: { $ne: order._id }, $or: or };
+};
+
+const windowStart = () => new Date(Date.now() - VELOCITY_WINDOW_HOURS * 60 * 60 * 1000);
+
+// Each rule returns a reason when it matches, or null
+const rules = [
+  {
+    name: 'address_mismatch',
+    score: 20,
+    check: async (order) => {
+      const { shippingAddress: shipping, billingAddress: billing } = order;
+      if (!shipping || !billing) return null;
+      const same = ['address', 'city', 'zipCode'].every(field => normalize(shipping[field]) === normalize(billing[field]));
+      return same ? null : 'Billing and shipping addresses differ';
+    }
+  },
+  {
+    name: 'high_value_first_order',
+    score: 30,
+    check: async (order, { session }) => {
+      if (order.totalPrice / (order.exchangeRate || 1) < HIGH_VALUE_AMOUNT) return null;
+      const previous = await Order.countDocuments({
+        ...customerFilter(order),
+        status: { $nin: ['cancelled', 'on_hold'] }
+      }).session(session);
+      return previous === 0
+        ? `First order from this customer is over $${HIGH_VALUE_AMOUNT.toFixed(2)}`
+        : null;
+    }
+  },
+  {
+    name: 'order_velocity',
+    score: 40,
+    check: async (order, { ip, session }) => {
+      const or = [...customerFilter(order).$or];
+      if (ip) or.push({ 'fraudReview.ip': ip });
+      const recent = await Order.countDocuments({
+        _id: { $ne: order._id },
+        $or: or,
+        createdAt: { $gte: windowStart() }
+      }).session(session);
+      return recent >= VELOCITY_LIMIT
+        ? `${recent} other orders from this email or IP in the last ${VELOCITY_WINDOW_HOURS} hours`
+        : null;
+    }
+  },
+  {
+    name: 'country_mismatch',
+    score: 30,
+    check: async (order, { ipCountry }) => {
+      const shippingCountry = normalizeCountry(order.shippingAddress && order.shippingAddress.country);
+      const billingCountry = normalizeCountry(order.billingAddress && order.billingAddress.country);
+      if (billingCountry && shippingCountry && billingCountry !== shippingCountry) {
+        return `Billing country ${billingCountry} differs from shipping country ${shippingCountry}`;
+      }
+      // Only compare the request country against ISO codes
+      const country = normalizeCountry(ipCountry);
+      if (country && shippingCountry.length === 2 && country !== shippingCountry) {
+        return `Order placed from ${country} but ships to ${shippingCountry}`;
+      }
+      return null;
+    }
+  },
+  {
+    name: 'failed_payments',
+    score: 40,
+    check: async (order, { session }) => {
+      const failed = await Order.countDocuments({
+        ...customerFilter(order),
+        'paymentInfo.status': 'failed',
+        createdAt: { $gte: windowStart() }
+      }).session(session);
+      return failed >= FAILED_PAYMENT_LIMIT
+        ? `${failed} orders with failed payments in the last ${VELOCITY_WINDOW_HOURS} hours`
+        : null;
+    }
+  }
+];
+
+// Register an additional rule: { name, score, check(order, context) }
+const addRule = (rule) => {
+  rules.push(rule);
+};
+
+// Score an order against every enabled rule. `context` carries the request
+// ip and country and the session of the surrounding transaction.
+const screenOrder = async (order, context = {}) => {
+  const reasons = [];
+  for (const rule of rules) {
+    if (DISABLED_RULES.includes(rule.name)) continue;
+    const message = await rule.check(order, context);
+    if (message) {
+      const score = SCORE_OVERRIDES[rule.name] !== undefined ? SCORE_OVERRIDES[rule.name] : rule.score;
+      reasons.push({ rule: rule.name, message, score });
+    }
+  }
+  const score = reasons.reduce((total, reason) => total + reason.score, 0);
+  return { score, reasons, hold: score >= HOLD_SCORE };
+};
+
+// Country of the request as reported by the hosting edge, if any
+const getRequestCountry = req => req.headers['x-vercel-ip-country'] || req.headers['cf-ipcountry'] || null;
+
+module.exports = {
+  screenOrder,
+  addRule,
+  getRequestCountry
+};
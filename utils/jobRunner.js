@@ -0,0 +1,68 @@
+// Minimal in-process scheduler for recurring background jobs. Each job runs
+// on its own interval and never overlaps with a previous run of itself.
+const jobs = new Map();
+
+// Register a job: `fn` is an async function returning a summary object
+const registerJob = (name, intervalMs, fn) => {
+  jobs.set(name, { name, intervalMs, fn, timer: null, running: false, lastRun: null, lastResult: null, lastError: null });
+};
+
+// Run a job now. Returns null if the previous run is still in progress.
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  if (job.running) return null;
+
+  job.running = true;
+  try {
+    job.lastResult = await job.fn();
+    job.lastError = null;
+    console.log(`Job ${name}: completed`, job.lastResult);
+    return job.lastResult;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`Job ${name}: failed`, error);
+    throw error;
+  } finally {
+    job.running = false;
+    job.lastRun = new Date();
+  }
+};
+
+const startJobs = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+    job.timer = setInterval(() => {
+      runJob(job.name).catch(() => {});
+    }, job.intervalMs);
+    // Scheduled jobs should not keep the process alive on shutdown
+    job.timer.unref();
+    console.log(`Job ${job.name}: scheduled every ${Math.round(job.intervalMs / 1000)}s`);
+  });
+};
+
+const stopJobs = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+const getJobs = () => Array.from(jobs.values()).map(({ name, intervalMs, running, lastRun, lastResult, lastError }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRun,
+  lastResult,
+  lastError
+}));
+
+module.exports = {
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs,
+  getJobs
+};
@@ -0,0 +1,31 @@
+const { registerJob } = require('./jobRunner');
+const expirePendingOrders = require('./expirePendingOrders');
+const processSubscriptions = require('./processSubscriptions');
+const { deliverGiftCards } = require('./deliverGiftCards');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+
+const MINUTE = 60 * 1000;
+
+// Register every recurring job. Call once at startup before startJobs().
+const registerJobs = () => {
+  registerJob(
+    'expire-pending-orders',
+    (parseInt(process.env.PENDING_ORDER_EXPIRY_INTERVAL_MINUTES, 10) || 15) * MINUTE,
+    expirePendingOrders
+  );
+  registerJob('expire-loyalty-points', 60 * MINUTE, async () => ({
+    expired: await LoyaltyTransaction.expirePoints()
+  }));
+  registerJob(
+    'process-subscriptions',
+    (parseInt(process.env.SUBSCRIPTION_INTERVAL_MINUTES, 10) || 60) * MINUTE,
+    processSubscriptions
+  );
+  registerJob(
+    'deliver-gift-cards',
+    (parseInt(process.env.GIFT_CARD_DELIVERY_INTERVAL_MINUTES, 10) || 15) * MINUTE,
+    deliverGiftCards
+  );
+};
+
+module.exports = registerJobs;
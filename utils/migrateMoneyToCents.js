@@ -0,0 +1,114 @@
+// Convert stored product, cart, order and return amounts from decimals to
+// integer cents. Documents already in cents carry `moneyUnit: 'cents'` and
+// are skipped, so the migration can be re-run safely.
+// Run once right after deploying integer cents: node utils/migrateMoneyToCents.js
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+require('dotenv').config();
+
+// Amounts are never negative; the small epsilon absorbs float noise (1.005)
+const cents = value => ({
+  $cond: [
+    { $isNumber: value },
+    { $floor: { $add: [{ $multiply: [value, 100] }, 0.5 + 1e-6] } },
+    value
+  ]
+});
+
+const centsFields = fields => fields.reduce((set, field) => {
+  set[field] = cents(`$${field}`);
+  return set;
+}, {});
+
+// Convert fields of every element of an array of subdocuments
+const centsArray = (path, fields) => ({
+  $cond: [
+    { $isArray: `$${path}` },
+    {
+      $map: {
+        input: `$${path}`,
+        in: {
+          $mergeObjects: ['$$this', fields.reduce((set, field) => {
+            set[field] = cents(`$$this.${field}`);
+            return set;
+          }, {})]
+        }
+      }
+    },
+    `$${path}`
+  ]
+});
+
+// Convert fields of an embedded object that may be missing or null
+const centsEmbedded = (path, fields) => ({
+  $cond: [
+    { $eq: [{ $type: `$${path}` }, 'object'] },
+    {
+      $mergeObjects: [`$${path}`, fields.reduce((set, field) => {
+        set[field] = cents(`$${path}.${field}`);
+        return set;
+      }, {})]
+    },
+    `$${path}`
+  ]
+});
+
+const migrations = [
+  {
+    model: Product,
+    set: {
+      ...centsFields(['price', 'compareAtPrice']),
+      variants: centsArray('variants', ['price', 'compareAtPrice']),
+      prices: centsArray('prices', ['price', 'compareAtPrice'])
+    }
+  },
+  {
+    // Cart coupon discounts are percentages or base currency amounts and
+    // are kept as entered
+    model: Cart,
+    set: {
+      ...centsFields(['subtotal', 'tax', 'shipping', 'discount', 'total']),
+      items: centsArray('items', ['price'])
+    }
+  },
+  {
+    model: Order,
+    set: {
+      ...centsFields(['itemsPrice', 'taxPrice', 'shippingPrice', 'discountAmount', 'totalPrice', 'loyaltyDiscount', 'amountRefunded']),
+      items: centsArray('items', ['price']),
+      refunds: centsArray('refunds', ['amount']),
+      coupon: centsEmbedded('coupon', ['discount']),
+      refundInfo: centsEmbedded('refundInfo', ['amount'])
+    }
+  },
+  {
+    model: Return,
+    set: {
+      items: centsArray('items', ['price']),
+      refund: centsEmbedded('refund', ['itemsAmount', 'taxAmount', 'discountAmount', 'amount'])
+    }
+  }
+];
+
+async function migrateMoneyToCents() {
+  await mongoose.connect(process.env.MONGODB_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+
+  for (const { model, set } of migrations) {
+    // Update the raw collection so model setters do not convert twice
+    const result = await model.collection.updateMany(
+      { moneyUnit: { $ne: 'cents' } },
+      [{ $set: { ...set, moneyUnit: 'cents' } }]
+    );
+    console.log(`${model.modelName}: converted ${result.modifiedCount} document(s) to cents`);
+  }
+
+  process.exit(0);
+}
+
+migrateMoneyToCents().catch(error => {
+  console.error('Money migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+// Backfill and validate order numbers against the counter collection.
+// Run once after deploying the order number sequence: node utils/migrateOrderNumbers.js
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const { generateOrderNumber, parseOrderNumber } = require('./orderNumber');
+require('dotenv').config();
+
+async function migrateOrderNumbers() {
+  await mongoose.connect(process.env.MONGODB_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+
+  const seen = new Map();
+  const duplicates = [];
+  const nonConforming = [];
+  const missing = [];
+  const highest = new Map();
+
+  // Pass 1: collect existing numbers and the highest value per sequence
+  const cursor = Order.find({}, 'orderNumber createdAt').sort({ createdAt: 1 }).lean().cursor();
+  for await (const order of cursor) {
+    if (!order.orderNumber) {
+      missing.push(order);
+      continue;
+    }
+
+    if (seen.has(order.orderNumber)) {
+      duplicates.push({ orderNumber: order.orderNumber, ids: [seen.get(order.orderNumber), order._id] });
+    } else {
+      seen.set(order.orderNumber, order._id);
+    }
+
+    const parsed = parseOrderNumber(order.orderNumber, order.createdAt || new Date());
+    if (!parsed) {
+      nonConforming.push({ id: order._id, orderNumber: order.orderNumber });
+      continue;
+    }
+    highest.set(parsed.key, Math.max(highest.get(parsed.key) || 0, parsed.seq));
+  }
+
+  // Seed counters so new numbers never collide with existing ones
+  for (const [key, seq] of highest) {
+    await Counter.ensureAtLeast(key, seq);
+  }
+  console.log(`Seeded ${highest.size} order number sequence(s)`);
+
+  // Pass 2: assign numbers to orders that never got one
+  for (const order of missing) {
+    const orderNumber = await generateOrderNumber(null, order.createdAt || new Date());
+    await Order.updateOne({ _id: order._id }, { $set: { orderNumber } });
+    console.log(`Order ${order._id} assigned order number ${orderNumber}`);
+  }
+
+  if (nonConforming.length > 0) {
+    console.log(`${nonConforming.length} order number(s) do not match the configured format:`);
+    nonConforming.forEach(order => console.log(`  ${order.id}: ${order.orderNumber}`));
+  }
+  if (duplicates.length > 0) {
+    console.log(`${duplicates.length} duplicate order number(s) need manual review:`);
+    duplicates.forEach(dup => console.log(`  ${dup.orderNumber}: ${dup.ids.join(', ')}`));
+  }
+
+  console.log(`Backfilled ${missing.length} order(s)`);
+
+  // The unique index can only be built once duplicates are resolved
+  if (duplicates.length > 0) {
+    process.exit(1);
+  }
+  await Order.createIndexes();
+  process.exit(0);
+}
+
+migrateOrderNumbers().catch(error => {
+  console.error('Order number migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const paymentError = require('./paymentError');
+
+// In-process payment provider for development and tests; nothing leaves
+// the process. Outcomes depend only on the payment method, using Stripe's
+// test method names:
+//   pm_card_visa, pm_card_mastercard   - succeed
+//   pm_card_chargeDeclined             - declined (card_declined)
+//   pm_card_insufficientFunds          - declined (insufficient_funds)
+//   pm_card_authenticationRequired     - requires_action; declined off-session
+//   pm_card_processing                 - processing, then succeeds
+// State changes emit Stripe-shaped events through onEvent, and the
+// webhook route accepts events signed with signWebhook.
+const TEST_METHODS = {
+  pm_card_visa: { brand: 'visa', last4: '4242' },
+  pm_card_mastercard: { brand: 'mastercard', last4: '4444' },
+  pm_card_chargeDeclined: {
+    brand: 'visa',
+    last4: '0002',
+    decline: { code: 'card_declined', declineCode: 'generic_decline', message: 'Your card was declined.' }
+  },
+  pm_card_insufficientFunds: {
+    brand: 'visa',
+    last4: '9995',
+    decline: { code: 'card_declined', declineCode: 'insufficient_funds', message: 'Your card has insufficient funds.' }
+  },
+  pm_card_authenticationRequired: { brand: 'visa', last4: '3184', authentication: true },
+  pm_card_processing: { brand: 'visa', last4: '0077', delayed: true }
+};
+
+const WEBHOOK_SECRET = () => process.env.PAYMENT_WEBHOOK_SECRET || 'whsec_mock';
+
+const emitter = new EventEmitter();
+let state;
+
+// Forget every object; ids start again from 1
+const reset = () => {
+  state = {
+    sequence: 0,
+    intents: new Map(),
+    charges: new Map(),
+    refunds: new Map(),
+    customers: new Map(),
+    methods: new Map(),
+    idempotency: new Map()
+  };
+};
+reset();
+
+const nextId = (prefix) => `${prefix}_mock_${String(++state.sequence).padStart(6, '0')}`;
+
+// Callers get copies, as they would from an API
+const copy = (object) => JSON.parse(JSON.stringify(object));
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Events are delivered after the current call returns, like a webhook
+const emit = (type, object) => {
+  const event = {
+    id: nextId('evt'),
+    object: 'event',
+    type,
+    created: now(),
+    livemode: false,
+    data: { object: copy(object) }
+  };
+  setImmediate(() => emitter.emit('event', event));
+  return event;
+};
+
+const notFound = (kind, id) => paymentError(`No such ${kind}: '${id}'`, {
+  type: 'invalid_request',
+  code: 'resource_missing',
+  statusCode: 404
+});
+
+const invalid = (message) => paymentError(message, { type: 'invalid_request', statusCode: 400 });
+
+// Replay the first outcome of a request made with the same key
+const idempotent = async (key, fn) => {
+  if (!key) return fn();
+  if (!state.idempotency.has(key)) {
+    state.idempotency.set(key, fn().then(
+      result => ({ result }),
+      error => ({ error })
+    ));
+  }
+  const { result, error } = await state.idempotency.get(key);
+  if (error) throw error;
+  return copy(result);
+};
+
+const getIntent = (id) => {
+  const intent = state.intents.get(id);
+  if (!intent) throw notFound('payment_intent', id);
+  return intent;
+};
+
+const getMethod = (id) => {
+  const method = TEST_METHODS[id];
+  if (!method) throw notFound('payment_method', id);
+  return method;
+};
+
+const chargeIntent = (intent, method) => {
+  const charge = {
+    id: nextId('ch'),
+    object: 'charge',
+    amount: intent.amount,
+    amount_refunded: 0,
+    currency: intent.currency,
+    payment_intent: intent.id,
+    refunded: false,
+    payment_method_details: { type: 'card', card: { brand: method.brand, last4: method.last4 } }
+  };
+  state.charges.set(charge.id, charge);
+  intent.latest_charge = charge;
+  intent.amount_received = intent.amount;
+  intent.status = 'succeeded';
+  emit('payment_intent.succeeded', intent);
+};
+
+const declineIntent = (intent, { code, declineCode, message }) => {
+  intent.status = 'requires_payment_method';
+  intent.last_payment_error = { type: 'card_error', code, decline_code: declineCode, message };
+  emit('payment_intent.payment_failed', intent);
+  throw paymentError(message, { type: 'card_error', code, declineCode, paymentIntent: copy(intent) });
+};
+
+// Run a confirmation attempt against the test method's outcome
+const attemptPayment = (intent, methodId, { offSession = false } = {}) => {
+  if (!['requires_payment_method', 'requires_confirmation', 'requires_action'].includes(intent.status)) {
+    throw invalid(`PaymentIntent ${intent.id} cannot be confirmed in status ${intent.status}`);
+  }
+  const method = getMethod(methodId);
+  intent.payment_method = methodId;
+  intent.last_payment_error = null;
+  intent.next_action = null;
+
+  if (method.decline) {
+    return declineIntent(intent, method.decline);
+  }
+  if (method.authentication) {
+    if (offSession) {
+      return declineIntent(intent, {
+        code: 'authentication_required',
+        declineCode: 'authentication_required',
+        message: 'This payment requires authentication.'
+      });
+    }
+    intent.status = 'requires_action';
+    intent.next_action = { type: 'use_stripe_sdk' };
+    return;
+  }
+  if (intent.capture_method === 'manual') {
+    intent.status = 'requires_capture';
+    intent.amount_capturable = intent.amount;
+    emit('payment_intent.amount_capturable_updated', intent);
+    return;
+  }
+  if (method.delayed) {
+    intent.status = 'processing';
+    emit('payment_intent.processing', intent);
+    setImmediate(() => chargeIntent(intent, method));
+    return;
+  }
+  chargeIntent(intent, method);
+};
+
+const createIntent = ({ amount, currency, customer, paymentMethod, confirm, offSession, captureMethod, description, metadata, returnUrl }, { idempotencyKey } = {}) =>
+  idempotent(idempotencyKey, async () => {
+    if (!Number.isInteger(amount) || amount < 1) {
+      throw invalid('Amount must be a positive integer in the smallest currency unit');
+    }
+    const id = nextId('pi');
+    const intent = {
+      id,
+      object: 'payment_intent',
+      amount,
+      amount_received: 0,
+      currency: currency.toLowerCase(),
+      status: paymentMethod ? 'requires_confirmation' : 'requires_payment_method',
+      client_secret: `${id}_secret_${signWebhook(id).slice(0, 16)}`,
+      capture_method: captureMethod || 'automatic',
+      customer: customer || null,
+      payment_method: paymentMethod || null,
+      description: description || null,
+      metadata: { ...metadata },
+      return_url: returnUrl || null,
+      last_payment_error: null,
+      latest_charge: null,
+      next_action: null,
+      created: now(),
+      livemode: false
+    };
+    state.intents.set(id, intent);
+    if (confirm) {
+      attemptPayment(intent, paymentMethod, { offSession });
+    }
+    return copy(intent);
+  });
+
+const retrieveIntent = async (id) => copy(getIntent(id));
+
+const updateIntent = async (id, { amount, metadata } = {}) => {
+  const intent = getIntent(id);
+  if (amount !== undefined) {
+    if (!['requires_payment_method', 'requires_confirmation', 'requires_action'].includes(intent.status)) {
+      throw invalid(`The amount of PaymentIntent ${id} cannot be changed in status ${intent.status}`);
+    }
+    intent.amount = amount;
+  }
+  if (metadata) {
+    intent.metadata = { ...intent.metadata, ...metadata };
+  }
+  return copy(intent);
+};
+
+const confirmIntent = async (id, { paymentMethod } = {}) => {
+  const intent = getIntent(id);
+  attemptPayment(intent, paymentMethod || intent.payment_method);
+  return copy(intent);
+};
+
+const captureIntent = async (id, { amount } = {}) => {
+  const intent = getIntent(id);
+  if (intent.status !== 'requires_capture') {
+    throw invalid(`PaymentIntent ${id} cannot be captured in status ${intent.status}`);
+  }
+  const captured = amount === undefined ? intent.amount_capturable : amount;
+  if (captured > intent.amount_capturable) {
+    throw invalid('Amount to capture is greater than the amount capturable');
+  }
+  intent.amount = captured;
+  intent.amount_capturable = 0;
+  chargeIntent(intent, getMethod(intent.payment_method));
+  return copy(intent);
+};
+
+const createRefund = ({ paymentId, amount, metadata }, { idempotencyKey } = {}) =>
+  idempotent(idempotencyKey, async () => {
+    const charge = paymentId.startsWith('ch_')
+      ? state.charges.get(paymentId)
+      : state.intents.has(paymentId) && state.intents.get(paymentId).latest_charge;
+    if (!charge) throw notFound('charge', paymentId);
+
+    const refundable = charge.amount - charge.amount_refunded;
+    const refunded = amount === undefined ? refundable : amount;
+    if (!(refunded > 0) || refunded > refundable) {
+      throw invalid(`Refund amount must be between 1 and ${refundable}`);
+    }
+    const refund = {
+      id: nextId('re'),
+      object: 'refund',
+      amount: refunded,
+      currency: charge.currency,
+      charge: charge.id,
+      payment_intent: charge.payment_intent,
+      status: 'succeeded',
+      metadata: { ...metadata },
+      created: now()
+    };
+    state.refunds.set(refund.id, refund);
+    charge.amount_refunded += refunded;
+    charge.refunded = charge.amount_refunded === charge.amount;
+    emit('charge.refunded', charge);
+    return copy(refund);
+  });
+
+const listRefunds = async (chargeId) => [...state.refunds.values()]
+  .filter(refund => refund.charge === chargeId)
+  .map(copy);
+
+const createCustomer = async ({ email, name, metadata } = {}) => {
+  const customer = { id: nextId('cus'), object: 'customer', email, name, metadata: { ...metadata } };
+  state.customers.set(customer.id, customer);
+  return copy(customer);
+};
+
+const retrieveMethod = async (methodId) => {
+  const method = getMethod(methodId);
+  return {
+    id: methodId,
+    object: 'payment_method',
+    type: 'card',
+    customer: state.methods.get(methodId) || null,
+    card: { brand: method.brand, last4: method.last4, exp_month: 12, exp_year: 2034 }
+  };
+};
+
+const attachMethod = async (methodId, customerId) => {
+  getMethod(methodId);
+  if (!state.customers.has(customerId)) throw notFound('customer', customerId);
+  state.methods.set(methodId, customerId);
+  return retrieveMethod(methodId);
+};
+
+const detachMethod = async (methodId) => {
+  const method = await retrieveMethod(methodId);
+  state.methods.delete(methodId);
+  return { ...method, customer: null };
+};
+
+// Signature the webhook route expects in the `x-mock-signature` header
+const signWebhook = (payload) => crypto
+  .createHmac('sha256', WEBHOOK_SECRET())
+  .update(typeof payload === 'string' ? payload : JSON.stringify(payload))
+  .digest('hex');
+
+const verifyWebhook = async (rawBody, headers) => {
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+  const expected = Buffer.from(signWebhook(body));
+  const given = Buffer.from(String(headers['x-mock-signature'] || ''));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw paymentError('No signatures found matching the expected signature for payload', {
+      type: 'signature',
+      statusCode: 400
+    });
+  }
+  return JSON.parse(body);
+};
+
+const onEvent = (listener) => {
+  emitter.on('event', listener);
+};
+
+module.exports = {
+  name: 'mock',
+  TEST_METHODS,
+  createIntent,
+  retrieveIntent,
+  updateIntent,
+  confirmIntent,
+  captureIntent,
+  createRefund,
+  listRefunds,
+  createCustomer,
+  attachMethod,
+  retrieveMethod,
+  detachMethod,
+  verifyWebhook,
+  onEvent,
+  signWebhook,
+  reset
+};
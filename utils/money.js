@@ -0,0 +1,105 @@
+// Money is stored as integer cents (hundredths of the currency unit) and
+// exposed as decimal amounts, so API responses keep their shape. Do money
+// arithmetic on cents and convert once at the end.
+//
+// Rounding rules:
+// - Converting an amount to cents rounds half away from zero.
+// - Tax and percentage discounts are computed once on the subtotal in
+//   cents and rounded half up, never per line, to the currency's smallest
+//   unit (`step` cents: 1, or 100 for currencies without decimals).
+// - Totals are sums of already rounded cents, so they always add up.
+
+const TAX_RATE = 0.085;
+const FREE_SHIPPING_THRESHOLD = 50;
+const SHIPPING_FEE = 5.99;
+
+// Round half away from zero, ignoring floating point noise (1.005 -> 1.01)
+const roundHalfUp = (value) => {
+  const cleaned = Math.round(value * 1e6) / 1e6;
+  return Math.sign(cleaned) * Math.round(Math.abs(cleaned));
+};
+
+const toCents = (amount) => {
+  if (amount === null || amount === undefined || amount === '') return amount;
+  const number = Number(amount);
+  return Number.isNaN(number) ? amount : roundHalfUp(number * 100);
+};
+
+const fromCents = (cents) => {
+  if (cents === null || cents === undefined) return cents;
+  return cents / 100;
+};
+
+// Round a decimal amount to whole cents
+const roundMoney = amount => fromCents(toCents(amount));
+
+// Percentage of an amount in cents, rounded half up to a multiple of `step`
+const percentOf = (cents, percent, step = 1) => roundHalfUp(cents * percent / 100 / step) * step;
+
+const sumCents = values => values.reduce((total, value) => total + (value || 0), 0);
+
+// Mongoose path definition for a money field stored in cents. Schemas using
+// it need `toJSON`/`toObject` with `getters: true` (see moneySchemaOptions).
+const money = (definition = {}) => ({
+  type: Number,
+  get: fromCents,
+  set: toCents,
+  ...definition
+});
+
+// Schema options that apply money getters when serializing. The
+// `moneyUnit` marker used by the cents migration is left out of responses.
+const moneySchemaOptions = {
+  toJSON: {
+    getters: true,
+    virtuals: false,
+    transform: (doc, ret) => {
+      delete ret.moneyUnit;
+      return ret;
+    }
+  },
+  toObject: {
+    getters: true,
+    virtuals: false
+  }
+};
+
+// Marker field for documents whose amounts are stored in cents
+const moneyUnitField = {
+  type: String,
+  default: 'cents',
+  select: false
+};
+
+// Cart and order totals in cents from the subtotal and discount in cents.
+// `shippingCents` defaults to the standard fee unless the subtotal
+// qualifies for free shipping. Tax is rounded to multiples of `step`.
+const calculateTotalsInCents = ({ subtotal, discount = 0, shipping, step = 1 }) => {
+  const tax = percentOf(subtotal, TAX_RATE * 100, step);
+  const shippingCents = shipping !== undefined
+    ? shipping
+    : (subtotal >= toCents(FREE_SHIPPING_THRESHOLD) ? 0 : toCents(SHIPPING_FEE));
+  return {
+    subtotal,
+    tax,
+    shipping: shippingCents,
+    discount,
+    total: subtotal + tax + shippingCents - discount
+  };
+};
+
+module.exports = {
+  TAX_RATE,
+  FREE_SHIPPING_THRESHOLD,
+  SHIPPING_FEE,
+  roundHalfUp,
+  toCents,
+  fromCents,
+  roundMoney,
+  percentOf,
+  sumCents,
+  money,
+  moneySchemaOptions,
+  moneyUnitField,
+  calculateTotalsInCents
+};
@@ -0,0 +1,184 @@
+const PDFDocument = require('pdfkit');
+const { formatMoney } = require('./currency');
+
+const STORE_NAME = process.env.FROM_NAME || 'Shoes Store';
+const BRAND_COLOR = '#ca8a04';
+
+const formatDate = date => (date ? new Date(date).toLocaleDateString('en-US') : '');
+
+const formatAddress = address => [
+  address.name,
+  address.address,
+  `${address.city}, ${address.state} ${address.zipCode}`,
+  address.country,
+  address.phone
+].filter(Boolean);
+
+// Store name and document title across the top of the page
+const renderHeader = (doc, title, order) => {
+  doc.rect(0, 0, doc.page.width, 80).fill('#facc15');
+  doc.fillColor('#1a202c').fontSize(22).font('Helvetica-Bold').text(STORE_NAME, 50, 28);
+  doc.fontSize(16).text(title, 50, 32, { align: 'right' });
+
+  doc.fillColor('#1a202c').fontSize(10).font('Helvetica');
+  doc.text(`Order: ${order.orderNumber}`, 50, 100);
+  doc.text(`Order date: ${formatDate(order.createdAt)}`);
+  if (process.env.STORE_ADDRESS) {
+    doc.text(process.env.STORE_ADDRESS, 300, 100, { align: 'right' });
+  }
+};
+
+const renderAddressBlock = (doc, label, lines, x, y) => {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND_COLOR).text(label, x, y);
+  doc.font('Helvetica').fillColor('#1a202c');
+  lines.forEach(line => doc.text(line, x));
+};
+
+// Draw a simple table and return the y position below it
+const renderTable = (doc, columns, rows, y) => {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#1a202c');
+  columns.forEach(column => {
+    doc.text(column.label, column.x, y, { width: column.width, align: column.align || 'left' });
+  });
+  y += 16;
+  doc.moveTo(50, y).lineTo(doc.page.width - 50, y).strokeColor('#e5e7eb').stroke();
+  y += 6;
+
+  doc.font('Helvetica');
+  rows.forEach(row => {
+    if (y > doc.page.height - 120) {
+      doc.addPage();
+      y = 50;
+    }
+    columns.forEach((column, index) => {
+      doc.text(row[index], column.x, y, { width: column.width, align: column.align || 'left' });
+    });
+    y += 18;
+  });
+  return y;
+};
+
+const variantLabel = item => [item.color, item.size].filter(Boolean).join(' / ');
+
+const renderInvoice = (doc, order) => {
+  const money = amount => formatMoney(amount, order.currency);
+  renderHeader(doc, 'INVOICE', order);
+  doc.text(`Invoice: ${order.invoiceNumber}`, 50, 128);
+  doc.text(`Invoice date: ${formatDate(order.invoicedAt)}`);
+
+  renderAddressBlock(doc, 'Bill to', formatAddress(order.billingAddress), 50, 170);
+  renderAddressBlock(doc, 'Ship to', formatAddress(order.shippingAddress), 300, 170);
+
+  const columns = [
+    { label: 'Item', x: 50, width: 200 },
+    { label: 'SKU', x: 250, width: 90 },
+    { label: 'Qty', x: 340, width: 40, align: 'right' },
+    { label: 'Price', x: 390, width: 70, align: 'right' },
+    { label: 'Total', x: 470, width: 75, align: 'right' }
+  ];
+  const rows = order.items.map(item => [
+    `${item.name}${variantLabel(item) ? ` (${variantLabel(item)})` : ''}`,
+    item.sku || '',
+    item.quantity.toString(),
+    money(item.price),
+    money(item.price * item.quantity)
+  ]);
+  let y = renderTable(doc, columns, rows, 270) + 10;
+
+  const totals = [
+    ['Subtotal', money(order.itemsPrice)],
+    ['Shipping', money(order.shippingPrice)],
+    ['Tax', money(order.taxPrice)]
+  ];
+  const couponDiscount = order.discountAmount - (order.loyaltyDiscount || 0);
+  if (couponDiscount > 0) {
+    totals.push([`Discount${order.coupon && order.coupon.code ? ` (${order.coupon.code})` : ''}`, `-${money(couponDiscount)}`]);
+  }
+  if (order.loyaltyDiscount > 0) {
+    totals.push([`Loyalty points (${order.loyaltyPointsUsed})`, `-${money(order.loyaltyDiscount)}`]);
+  }
+  totals.push(['Total', money(order.totalPrice)]);
+  if (order.giftCardAmount > 0) {
+    totals.push([`Paid with gift cards (${order.giftCards.map(card => `...${card.last4}`).join(', ')})`, `-${money(order.giftCardAmount)}`]);
+    totals.push(['Charged to card', money(order.getAmountDue())]);
+  }
+  if (order.getTotalRefunded() > 0) {
+    totals.push(['Refunded', `-${money(order.getTotalRefunded())}`]);
+  }
+
+  totals.forEach(([label, value], index) => {
+    const isTotal = label === 'Total';
+    doc.font(isTotal ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, 340, y, { width: 120, align: 'right' });
+    doc.text(value, 470, y, { width: 75, align: 'right' });
+    y += index === totals.length - 1 ? 0 : 16;
+  });
+
+  doc.font('Helvetica').fontSize(9).fillColor('#6b7280')
+    .text(`Payment: ${order.paymentInfo.method} (${order.paymentInfo.status})`, 50, y + 40)
+    .text(`Thank you for shopping with ${STORE_NAME}.`);
+};
+
+const renderPackingSlip = (doc, order) => {
+  renderHeader(doc, 'PACKING SLIP', order);
+  renderAddressBlock(doc, 'Ship to', formatAddress(order.shippingAddress), 50, 140);
+
+  const columns = [
+    { label: 'Item', x: 50, width: 220 },
+    { label: 'SKU', x: 270, width: 110 },
+    { label: 'Color', x: 380, width: 70 },
+    { label: 'Size', x: 450, width: 45 },
+    { label: 'Qty', x: 495, width: 50, align: 'right' }
+  ];
+  // Only units that can be packed now; pre/backordered units are listed
+  // apart so they are not picked
+  const packable = order.items.filter(item => order.getShippableQuantity(item._id) > 0);
+  const rows = packable.map(item => [
+    item.name,
+    item.sku || '',
+    item.color || '',
+    item.size || '',
+    order.getShippableQuantity(item._id).toString()
+  ]);
+  let y = renderTable(doc, columns, rows, 240);
+
+  const held = order.items.filter(item => item.heldQuantity > 0);
+  if (held.length > 0) {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND_COLOR).text('Not in this shipment', 50, y + 20);
+    y = renderTable(doc, columns, held.map(item => [
+      `${item.name} - awaiting ${item.availability === 'preorder' ? 'release' : 'restock'}${item.expectedDate ? ` (${formatDate(item.expectedDate)})` : ''}`,
+      item.sku || '',
+      item.color || '',
+      item.size || '',
+      item.heldQuantity.toString()
+    ]), y + 40);
+  }
+
+  if (order.isGift && order.giftMessage) {
+    doc.font('Helvetica-Bold').text('Gift message', 50, y + 20);
+    doc.font('Helvetica').text(order.giftMessage, 50);
+  }
+};
+
+// Invoice PDF for an order with an invoice number. Pipe the returned
+// document to the response and call end().
+const createInvoicePdf = (order) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  renderInvoice(doc, order);
+  return doc;
+};
+
+// One packing slip per page for every order
+const createPackingSlipPdf = (orders) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  orders.forEach((order, index) => {
+    if (index > 0) doc.addPage();
+    renderPackingSlip(doc, order);
+  });
+  return doc;
+};
+
+module.exports = {
+  createInvoicePdf,
+  createPackingSlipPdf
+};
@@ -0,0 +1,23 @@
+const sendEmail = require('./sendEmail');
+const OrderActivity = require('../models/OrderActivity');
+
+// Email the customer of an order and record it on the order timeline
+const sendOrderEmail = async (order, { subject, message }, actor = null) => {
+  const customerEmail = order.shippingAddress?.email || order.billingAddress?.email;
+  if (!customerEmail) return;
+
+  await sendEmail({
+    email: customerEmail,
+    subject,
+    message
+  });
+  await OrderActivity.log({
+    order: order._id,
+    type: 'email',
+    message: `Email sent: ${subject}`,
+    actor,
+    metadata: { to: customerEmail }
+  });
+};
+
+module.exports = sendOrderEmail;
@@ -0,0 +1,112 @@
+const ExcelJS = require('exceljs');
+
+// Time the order first entered a status, from its history
+const statusTimestamp = (order, status) => {
+  const entry = (order.statusHistory || []).find(h => h.status === status);
+  return entry ? entry.timestamp : undefined;
+};
+
+const formatDate = date => (date ? new Date(date).toISOString() : '');
+
+const addressColumns = (prefix, key) => [
+  { header: `${prefix} Name`, value: order => order[key]?.name },
+  { header: `${prefix} Address`, value: order => order[key]?.address },
+  { header: `${prefix} City`, value: order => order[key]?.city },
+  { header: `${prefix} State`, value: order => order[key]?.state },
+  { header: `${prefix} ZIP`, value: order => order[key]?.zipCode },
+  { header: `${prefix} Country`, value: order => order[key]?.country }
+];
+
+const ORDER_COLUMNS = [
+  { header: 'Order Number', value: order => order.orderNumber },
+  { header: 'Order Date', value: order => formatDate(order.createdAt) },
+  { header: 'Status', value: order => order.status },
+  { header: 'Customer Name', value: order => order.user?.name || order.shippingAddress?.name },
+  { header: 'Customer Email', value: order => order.user?.email || order.shippingAddress?.email },
+  { header: 'Phone', value: order => order.shippingAddress?.phone },
+  ...addressColumns('Shipping', 'shippingAddress'),
+  ...addressColumns('Billing', 'billingAddress')
+];
+
+const ITEM_COLUMNS = [
+  { header: 'SKU', value: (order, item) => item.sku },
+  { header: 'Product', value: (order, item) => item.name },
+  { header: 'Color', value: (order, item) => item.color },
+  { header: 'Size', value: (order, item) => item.size },
+  { header: 'Quantity', value: (order, item) => item.quantity },
+  { header: 'Unit Price', value: (order, item) => item.price },
+  { header: 'Line Total', value: (order, item) => item.price * item.quantity }
+];
+
+const SUMMARY_COLUMNS = [
+  { header: 'Item Count', value: order => order.items.reduce((total, item) => total + item.quantity, 0) },
+  { header: 'SKUs', value: order => order.items.map(item => item.sku).filter(Boolean).join('; ') }
+];
+
+const TOTAL_COLUMNS = [
+  { header: 'Currency', value: order => order.currency },
+  { header: 'Items Total', value: order => order.itemsPrice },
+  { header: 'Tax', value: order => order.taxPrice },
+  { header: 'Shipping', value: order => order.shippingPrice },
+  { header: 'Discount', value: order => order.discountAmount },
+  { header: 'Order Total', value: order => order.totalPrice },
+  { header: 'Refunded', value: order => order.getTotalRefunded() },
+  { header: 'Payment Status', value: order => order.paymentInfo?.status },
+  { header: 'Tracking Number', value: order => order.shippingInfo?.trackingNumber },
+  { header: 'Processing At', value: order => formatDate(statusTimestamp(order, 'processing')) },
+  { header: 'Shipped At', value: order => formatDate(order.shippingInfo?.shippedAt) },
+  { header: 'Delivered At', value: order => formatDate(order.shippingInfo?.deliveredAt) },
+  { header: 'Cancelled At', value: order => formatDate(statusTimestamp(order, 'cancelled')) },
+  { header: 'Refunded At', value: order => formatDate(statusTimestamp(order, 'refunded')) }
+];
+
+// Columns for one row per line item ('items') or one row per order ('orders')
+const getColumns = rowMode => (rowMode === 'orders'
+  ? [...ORDER_COLUMNS, ...SUMMARY_COLUMNS, ...TOTAL_COLUMNS]
+  : [...ORDER_COLUMNS, ...ITEM_COLUMNS, ...TOTAL_COLUMNS]);
+
+const orderToRows = (order, columns, rowMode) => {
+  const toRow = item => columns.map(column => {
+    const value = column.value(order, item);
+    return value === undefined || value === null ? '' : value;
+  });
+  return rowMode === 'orders' ? [toRow()] : order.items.map(toRow);
+};
+
+const escapeCsv = value => {
+  // Keep spreadsheet apps from running customer-entered text as a formula
+  const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Stream orders from a cursor to the response as CSV
+const streamCsv = async (res, cursor, rowMode) => {
+  const columns = getColumns(rowMode);
+  res.write(`${columns.map(column => escapeCsv(column.header)).join(',')}\n`);
+  for await (const order of cursor) {
+    orderToRows(order, columns, rowMode).forEach(row => {
+      res.write(`${row.map(escapeCsv).join(',')}\n`);
+    });
+  }
+  res.end();
+};
+
+// Stream orders from a cursor to the response as an XLSX workbook
+const streamXlsx = async (res, cursor, rowMode) => {
+  const columns = getColumns(rowMode);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Orders');
+  sheet.columns = columns.map(column => ({ header: column.header, width: 18 }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const order of cursor) {
+    orderToRows(order, columns, rowMode).forEach(row => sheet.addRow(row).commit());
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+module.exports = {
+  streamCsv,
+  streamXlsx
+};
@@ -0,0 +1,80 @@
+const Counter = require('../models/Counter');
+
+// Order number format, configurable through the environment:
+//   ORDER_NUMBER_PREFIX       text in front of the number (default: none)
+//   ORDER_NUMBER_DATE_FORMAT  date part using YYYY, YY, MM and DD tokens,
+//                             empty to disable (default: YYMMDD)
+//   ORDER_NUMBER_TIMEZONE     IANA timezone for the date part (default: UTC)
+//   ORDER_NUMBER_WIDTH        minimum digits of the sequence (default: 3)
+// With a date part the sequence restarts every day, otherwise it never does.
+const getConfig = () => ({
+  prefix: process.env.ORDER_NUMBER_PREFIX || '',
+  dateFormat: process.env.ORDER_NUMBER_DATE_FORMAT !== undefined
+    ? process.env.ORDER_NUMBER_DATE_FORMAT
+    : 'YYMMDD',
+  timeZone: process.env.ORDER_NUMBER_TIMEZONE || 'UTC',
+  width: parseInt(process.env.ORDER_NUMBER_WIDTH) || 3
+});
+
+const formatDatePart = (date, dateFormat, timeZone) => {
+  if (!dateFormat) return '';
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return dateFormat
+    .replace('YYYY', parts.year)
+    .replace('YY', parts.year.slice(-2))
+    .replace('MM', parts.month)
+    .replace('DD', parts.day);
+};
+
+// Counter key for the sequence an order placed at `date` belongs to
+const getSequenceKey = (date = new Date(), config = getConfig()) => {
+  const datePart = formatDatePart(date, config.dateFormat, config.timeZone);
+  return `orderNumber:${config.prefix}${datePart}`;
+};
+
+const formatOrderNumber = (seq, date = new Date(), config = getConfig()) => {
+  const datePart = formatDatePart(date, config.dateFormat, config.timeZone);
+  return `${config.prefix}${datePart}${seq.toString().padStart(config.width, '0')}`;
+};
+
+// Split an order number into its sequence key and value, or null if the
+// number does not follow the configured format. The day before and after
+// `date` are tried too, since older numbers used the server's local date.
+const parseOrderNumber = (orderNumber, date, config = getConfig()) => {
+  if (!orderNumber) return null;
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const candidates = [date, new Date(date.getTime() - dayMs), new Date(date.getTime() + dayMs)];
+  for (const candidate of candidates) {
+    const head = `${config.prefix}${formatDatePart(candidate, config.dateFormat, config.timeZone)}`;
+    const digits = orderNumber.slice(head.length);
+    if (orderNumber.startsWith(head) && /^\d+$/.test(digits)) {
+      return { key: `orderNumber:${head}`, seq: parseInt(digits, 10) };
+    }
+  }
+  return null;
+};
+
+// Issue the next unique order number
+const generateOrderNumber = async (session = null, date = new Date()) => {
+  const config = getConfig();
+  const seq = await Counter.next(getSequenceKey(date, config), session);
+  return formatOrderNumber(seq, date, config);
+};
+
+module.exports = {
+  generateOrderNumber,
+  formatOrderNumber,
+  parseOrderNumber,
+  getSequenceKey
+};
@@ -0,0 +1,18 @@
+// Error thrown by payment providers. `type` is one of:
+//   card_error       - the payment was declined or needs authentication
+//   invalid_request  - unknown object or bad parameters
+//   signature        - a webhook failed signature verification
+//   api_error        - anything else from the provider
+// `paymentIntent` is the intent a failed confirmation left behind, if any.
+const paymentError = (message, { type = 'api_error', code, declineCode, paymentIntent = null, statusCode = 402 } = {}) => {
+  const error = new Error(message);
+  error.name = 'PaymentProviderError';
+  error.type = type;
+  error.code = code;
+  error.declineCode = declineCode;
+  error.paymentIntent = paymentIntent;
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = paymentError;
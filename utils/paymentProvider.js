@@ -0,0 +1,35 @@
+// Payment provider used by the app, chosen with PAYMENT_PROVIDER:
+// `stripe` (default) or `mock`, an offline provider for development and
+// tests (see utils/mockPaymentProvider).
+//
+// Every provider implements:
+//   createIntent({ amount, currency, customer, paymentMethod, confirm,
+//     offSession, captureMethod, description, metadata, returnUrl },
+//     { idempotencyKey })                       amounts are in minor units
+//   retrieveIntent(id)
+//   updateIntent(id, { amount, metadata })      before confirmation only
+//   confirmIntent(id, { paymentMethod, returnUrl })
+//   captureIntent(id, { amount })               for captureMethod 'manual'
+//   createRefund({ paymentId, amount, metadata }, { idempotencyKey })
+//   listRefunds(chargeId)
+//   createCustomer({ email, name, metadata })
+//   attachMethod(methodId, customerId), retrieveMethod(id), detachMethod(id)
+//   verifyWebhook(rawBody, headers)             resolves to the event
+//   onEvent(listener)                           events emitted in-process
+//
+// Intents, charges, refunds, payment methods and events use Stripe's
+// object shapes. Failures throw a PaymentProviderError (utils/paymentError).
+const PROVIDERS = {
+  stripe: './stripePaymentProvider',
+  mock: './mockPaymentProvider'
+};
+
+const name = (process.env.PAYMENT_PROVIDER || 'stripe').toLowerCase();
+if (!PROVIDERS[name]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(' or ')})`);
+}
+if (name === 'mock' && process.env.NODE_ENV === 'production') {
+  throw new Error('The mock payment provider cannot be used in production');
+}
+
+module.exports = require(PROVIDERS[name]);
@@ -0,0 +1,225 @@
+const Order = require('../models/Order');
+const OrderActivity = require('../models/OrderActivity');
+const payments = require('./paymentProvider');
+const withTransaction = require('./transaction');
+const { deliverOrderGiftCards } = require('./deliverGiftCards');
+const { formatMoney, fromMinorUnits, toMinorUnits } = require('./currency');
+
+// Order.paymentInfo.status for a PaymentIntent
+const paymentStatusOf = (paymentIntent) => {
+  switch (paymentIntent.status) {
+    case 'succeeded':
+      return 'succeeded';
+    case 'processing':
+      return 'processing';
+    case 'canceled':
+      return 'canceled';
+    case 'requires_payment_method':
+      // Also the state of a fresh intent; only a failed attempt sets an error
+      return paymentIntent.last_payment_error ? 'failed' : 'pending';
+    default:
+      return 'pending';
+  }
+};
+
+// Card brand and last digits from the charge, or from the payment method
+const getCardDetails = async (paymentIntent) => {
+  const charge = paymentIntent.latest_charge && typeof paymentIntent.latest_charge === 'object'
+    ? paymentIntent.latest_charge
+    : paymentIntent.charges && paymentIntent.charges.data && paymentIntent.charges.data[0];
+  let card = charge && charge.payment_method_details && charge.payment_method_details.card;
+
+  if (!card && paymentIntent.payment_method) {
+    const method = typeof paymentIntent.payment_method === 'object'
+      ? paymentIntent.payment_method
+      : await payments.retrieveMethod(paymentIntent.payment_method);
+    card = method && method.card;
+  }
+  return card ? { cardBrand: card.brand, last4: card.last4 } : {};
+};
+
+// Reason a PaymentIntent cannot pay `amount` in `currency`, or null if it
+// matches
+const amountMismatch = (paymentIntent, amount, currency) => {
+  if (paymentIntent.currency === currency.toLowerCase() &&
+      paymentIntent.amount === toMinorUnits(amount, currency)) {
+    return null;
+  }
+  const paid = formatMoney(fromMinorUnits(paymentIntent.amount, paymentIntent.currency), paymentIntent.currency.toUpperCase());
+  return `Payment of ${paid} does not match the order total of ${formatMoney(amount, currency)}`;
+};
+
+// Check a client-supplied payment id against the amount the server will
+// charge. Ids the provider cannot confirm are rejected.
+const getPaymentAmountError = async (paymentId, amount, currency) => {
+  if (!paymentId || !paymentId.startsWith('pi_')) return 'Payment not found';
+  try {
+    const paymentIntent = await payments.retrieveIntent(paymentId);
+    return amountMismatch(paymentIntent, amount, currency);
+  } catch (error) {
+    if (error.type === 'invalid_request') return 'Payment not found';
+    throw error;
+  }
+};
+
+// PaymentIntent for an unpaid order, at the order's current total. An
+// unconfirmed intent already on the order is reused and re-priced.
+const preparePaymentIntent = async (order, { customer } = {}) => {
+  const amount = toMinorUnits(order.getAmountDue(), order.currency);
+  const currency = order.currency.toLowerCase();
+  const paymentId = order.paymentInfo && order.paymentInfo.id;
+
+  let paymentIntent = null;
+  if (paymentId && paymentId.startsWith('pi_')) {
+    const existing = await payments.retrieveIntent(paymentId);
+    if (['requires_payment_method', 'requires_confirmation', 'requires_action'].includes(existing.status) &&
+        existing.currency === currency) {
+      paymentIntent = existing.amount === amount
+        ? existing
+        : await payments.updateIntent(paymentId, { amount });
+    } else if (existing.status !== 'canceled') {
+      // Processing or succeeded: the webhook settles it
+      return existing;
+    }
+  }
+
+  if (!paymentIntent) {
+    paymentIntent = await payments.createIntent({
+      amount,
+      currency,
+      customer,
+      metadata: { orderId: order._id.toString(), orderNumber: order.orderNumber }
+    });
+  }
+
+  if (order.paymentInfo.id !== paymentIntent.id) {
+    order.paymentInfo.id = paymentIntent.id;
+    order.paymentInfo.status = 'pending';
+    await order.save();
+  }
+  return paymentIntent;
+};
+
+// Order a PaymentIntent pays for: from its metadata, or by payment id
+const findOrderForPaymentIntent = async (paymentIntent) => {
+  const orderId = paymentIntent.metadata && paymentIntent.metadata.orderId;
+  if (orderId) {
+    const order = await Order.findById(orderId);
+    if (order) return order;
+  }
+  return Order.findOne({ 'paymentInfo.id': paymentIntent.id });
+};
+
+// Copy the state of a PaymentIntent onto its order. Successful payments
+// move pending orders to processing; failures are recorded on the order.
+// Returns the order, or null if no order is linked to the intent yet.
+const applyPaymentIntent = async (paymentIntent, { note = 'Payment confirmed by Stripe' } = {}) => {
+  const order = await findOrderForPaymentIntent(paymentIntent);
+  if (!order) return null;
+
+  const status = paymentStatusOf(paymentIntent);
+  let card = {};
+  if (['succeeded', 'failed'].includes(status)) {
+    try {
+      card = await getCardDetails(paymentIntent);
+    } catch (error) {
+      console.error('Payment sync: could not load card details for', paymentIntent.id, error.message);
+    }
+  }
+
+  const { current, previous } = await withTransaction(async (session) => {
+    const locked = await Order.findById(order._id).session(session);
+    const before = locked.paymentInfo.status;
+    // A PaymentIntent never leaves succeeded, so late events cannot undo it
+    if (before === 'succeeded' && status !== 'succeeded') {
+      return { current: locked, previous: before };
+    }
+
+    // A charge for a stale amount is kept but the order waits for review
+    const mismatch = status === 'succeeded'
+      ? amountMismatch(paymentIntent, locked.getAmountDue(), locked.currency)
+      : null;
+
+    locked.paymentInfo.id = paymentIntent.id;
+    locked.paymentInfo.status = status;
+    if (card.cardBrand) locked.paymentInfo.cardBrand = card.cardBrand;
+    if (card.last4) locked.paymentInfo.last4 = card.last4;
+    if (status === 'failed') {
+      const failure = paymentIntent.last_payment_error || {};
+      locked.paymentInfo.failureCode = failure.decline_code || failure.code;
+      locked.paymentInfo.failureMessage = failure.message;
+    } else if (mismatch) {
+      locked.paymentInfo.failureCode = 'amount_mismatch';
+      locked.paymentInfo.failureMessage = mismatch;
+    } else {
+      locked.paymentInfo.failureCode = undefined;
+      locked.paymentInfo.failureMessage = undefined;
+    }
+    if (status === 'succeeded' && !locked.paymentInfo.paidAt) {
+      locked.paymentInfo.paidAt = new Date();
+    }
+
+    if (status === 'succeeded' && !mismatch && locked.status === 'pending' && locked.canTransitionTo('processing')) {
+      await locked.transitionTo('processing', { note, session });
+    }
+    await locked.save({ session });
+    return { current: locked, previous: before };
+  });
+
+  if (previous !== current.paymentInfo.status) {
+    const amount = formatMoney(fromMinorUnits(paymentIntent.amount, paymentIntent.currency), current.currency);
+    await OrderActivity.log({
+      order: current._id,
+      type: 'payment',
+      message: current.paymentInfo.status === 'failed'
+        ? `Payment of ${amount} failed: ${current.paymentInfo.failureMessage || 'card declined'}`
+        : current.paymentInfo.failureCode === 'amount_mismatch'
+          ? `${current.paymentInfo.failureMessage}; order held for review`
+          : `Payment of ${amount} ${current.paymentInfo.status}`,
+      metadata: { paymentIntentId: paymentIntent.id, previousStatus: previous }
+    });
+  }
+
+  // Gift cards bought on the order go out once it is paid
+  if (previous !== 'succeeded' && current.paymentInfo.status === 'succeeded') {
+    await deliverOrderGiftCards(current).catch(error => {
+      console.error('Payment sync: gift card delivery failed for', current.orderNumber, error.message);
+    });
+  }
+  return current;
+};
+
+// Tag a new order's PaymentIntent with the order id so webhooks can find
+// it, then take the payment state from Stripe rather than the client.
+const linkPaymentIntent = async (order) => {
+  const paymentId = order.paymentInfo && order.paymentInfo.id;
+  if (!paymentId || !paymentId.startsWith('pi_')) return order;
+
+  const paymentIntent = await payments.retrieveIntent(paymentId);
+  const linkedOrder = paymentIntent.metadata && paymentIntent.metadata.orderId;
+  if (linkedOrder && linkedOrder !== order._id.toString()) {
+    await OrderActivity.log({
+      order: order._id,
+      type: 'payment',
+      message: `Payment ${paymentId} already belongs to another order`,
+      metadata: { paymentIntentId: paymentId, linkedOrder }
+    });
+    return order;
+  }
+
+  const updated = linkedOrder
+    ? paymentIntent
+    : await payments.updateIntent(paymentId, {
+      metadata: { orderId: order._id.toString(), orderNumber: order.orderNumber }
+    });
+  return (await applyPaymentIntent(updated)) || order;
+};
+
+module.exports = {
+  amountMismatch,
+  applyPaymentIntent,
+  getPaymentAmountError,
+  linkPaymentIntent,
+  paymentStatusOf,
+  preparePaymentIntent
+};
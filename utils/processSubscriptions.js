@@ -0,0 +1,359 @@
+const Subscription = require('../models/Subscription');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const OrderActivity = require('../models/OrderActivity');
+const sendEmail = require('./sendEmail');
+const sendOrderEmail = require('./orderEmail');
+const payments = require('./paymentProvider');
+const withTransaction = require('./transaction');
+const { BASE_RATE, getRate, convertAmount, formatMoney, toMinorUnits, centsPerMinorUnit } = require('./currency');
+const { toCents, fromCents, calculateTotalsInCents, FREE_SHIPPING_THRESHOLD, SHIPPING_FEE } = require('./money');
+
+const DAY = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// Days to wait before each payment retry; after the last one fails the
+// order is cancelled and the subscription paused.
+// SUBSCRIPTION_RETRY_DAYS=1,3,5
+const RETRY_DAYS = (process.env.SUBSCRIPTION_RETRY_DAYS || '1,3,5')
+  .split(',').map(days => parseFloat(days)).filter(days => days > 0);
+
+const manageLink = () => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/account/subscriptions`;
+
+// Email the subscriber, falling back to the account email when the
+// subscription has no order yet
+const notify = async (subscription, user, order, { subject, message }) => {
+  try {
+    if (order) {
+      await sendOrderEmail(order, { subject, message });
+    } else {
+      await sendEmail({ email: user.email, subject, message });
+    }
+  } catch (error) {
+    console.error('Subscriptions: email failed for subscription', subscription._id, error);
+  }
+};
+
+// Build order items at current prices in the subscription's currency.
+// Resolves to { orderData, shortages }: items whose product was deleted or
+// deactivated come back as shortages, with no order data, rather than
+// being priced.
+const buildOrderData = async (subscription, user) => {
+  const rate = (await getRate(subscription.currency)) || BASE_RATE;
+  const products = await Product.find({ _id: { $in: subscription.items.map(item => item.product) } });
+
+  const shortages = [];
+  let itemsCents = 0;
+  const items = subscription.items.map(item => {
+    const product = products.find(p => p._id.equals(item.product));
+    if (!product || !product.isActive) {
+      shortages.push({
+        product: item.product,
+        name: item.name,
+        color: item.color,
+        size: item.size,
+        requested: item.quantity,
+        available: 0,
+        message: 'Product is no longer available'
+      });
+      return null;
+    }
+    const { price } = product.getPriceIn(rate);
+    itemsCents += toCents(price) * item.quantity;
+    return {
+      product: item.product,
+      name: product.name,
+      price,
+      quantity: item.quantity,
+      image: product.images[0]?.url || '',
+      sku: product.sku,
+      color: item.color,
+      size: item.size
+    };
+  });
+  if (shortages.length > 0) {
+    return { orderData: null, shortages };
+  }
+
+  const totals = calculateTotalsInCents({
+    subtotal: itemsCents,
+    shipping: itemsCents >= toCents(convertAmount(FREE_SHIPPING_THRESHOLD, rate))
+      ? 0
+      : toCents(convertAmount(SHIPPING_FEE, rate)),
+    step: centsPerMinorUnit(rate.currency)
+  });
+  const method = subscription.getPaymentMethod(user);
+  const { phone, ...address } = subscription.shippingAddress.toObject();
+
+  const orderData = {
+    user: user._id,
+    subscription: subscription._id,
+    items,
+    shippingAddress: { ...address, phone, email: user.email },
+    billingAddress: { ...address, email: user.email },
+    paymentInfo: {
+      id: `subscription_${subscription._id}`,
+      status: 'pending',
+      method: 'card',
+      cardBrand: method && method.type,
+      last4: method && method.last4
+    },
+    itemsPrice: fromCents(totals.subtotal),
+    taxPrice: fromCents(totals.tax),
+    shippingPrice: fromCents(totals.shipping),
+    totalPrice: fromCents(totals.total),
+    currency: rate.currency,
+    exchangeRate: rate.rate
+  };
+  return { orderData, shortages };
+};
+
+// Charge the saved card off-session. Resolves to { paid, paymentIntentId, error }.
+const chargeOrder = async (subscription, order, user, attempt) => {
+  const method = subscription.getPaymentMethod(user);
+  if (!method || !method.stripePaymentMethodId || !user.stripeCustomerId) {
+    return { paid: false, paymentIntentId: null, error: 'No saved card on file for this subscription' };
+  }
+  try {
+    const paymentIntent = await payments.createIntent({
+      amount: toMinorUnits(order.totalPrice, order.currency),
+      currency: order.currency.toLowerCase(),
+      customer: user.stripeCustomerId,
+      paymentMethod: method.stripePaymentMethodId,
+      offSession: true,
+      confirm: true,
+      description: `Subscription order ${order.orderNumber}`,
+      metadata: {
+        orderId: order._id.toString(),
+        subscriptionId: subscription._id.toString()
+      }
+    }, { idempotencyKey: `subscription-${order._id}-${attempt}` });
+    return {
+      paid: paymentIntent.status === 'succeeded',
+      paymentIntentId: paymentIntent.id,
+      error: paymentIntent.status === 'succeeded' ? null : `Payment ${paymentIntent.status}`
+    };
+  } catch (error) {
+    // Declines and authentication_required come back as card errors
+    const paymentIntent = error.paymentIntent;
+    return { paid: false, paymentIntentId: paymentIntent ? paymentIntent.id : null, error: error.message };
+  }
+};
+
+const markPaid = async (order, paymentIntentId) => withTransaction(async (session) => {
+  const current = await Order.findById(order._id).session(session);
+  current.paymentInfo.id = paymentIntentId;
+  current.paymentInfo.status = 'succeeded';
+  // The payment webhook may have moved the order on already
+  if (current.status === 'pending') {
+    await current.transitionTo('processing', { note: 'Subscription payment succeeded', session });
+  }
+  await current.save({ session });
+  return current;
+});
+
+const markFailed = async (order, paymentIntentId) => {
+  order.paymentInfo.status = 'failed';
+  if (paymentIntentId) order.paymentInfo.id = paymentIntentId;
+  await order.save();
+};
+
+// Charge the order and move the subscription on depending on the result
+const settlePayment = async (subscription, order, user) => {
+  const attempt = subscription.failedAttempts + 1;
+  const result = await chargeOrder(subscription, order, user, attempt);
+
+  if (result.paid) {
+    const paidOrder = await markPaid(order, result.paymentIntentId);
+    await OrderActivity.log({
+      order: order._id,
+      type: 'payment',
+      message: `Subscription payment of ${formatMoney(order.totalPrice, order.currency)} succeeded`,
+      metadata: { paymentIntentId: result.paymentIntentId, attempt }
+    });
+    subscription.status = 'active';
+    subscription.failedAttempts = 0;
+    subscription.pendingOrder = undefined;
+    subscription.nextRetryAt = undefined;
+    subscription.lastError = undefined;
+    await subscription.save();
+    await notify(subscription, user, paidOrder, {
+      subject: `Your subscription order ${order.orderNumber}`,
+      message: `Your recurring order ${order.orderNumber} has been placed and paid (${formatMoney(order.totalPrice, order.currency)}).\n\nNext delivery: ${subscription.nextOrderDate.toDateString()}\n\nManage your subscription: ${manageLink()}`
+    });
+    return 'paid';
+  }
+
+  await markFailed(order, result.paymentIntentId);
+  await OrderActivity.log({
+    order: order._id,
+    type: 'payment',
+    message: `Subscription payment attempt ${attempt} failed: ${result.error}`,
+    metadata: { paymentIntentId: result.paymentIntentId, attempt }
+  });
+  subscription.failedAttempts = attempt;
+  subscription.lastError = result.error;
+
+  // Dunning: retry on the configured schedule, then give up
+  if (attempt <= RETRY_DAYS.length) {
+    subscription.status = 'past_due';
+    subscription.pendingOrder = order._id;
+    subscription.nextRetryAt = new Date(Date.now() + RETRY_DAYS[attempt - 1] * DAY);
+    await subscription.save();
+    await notify(subscription, user, order, {
+      subject: `Payment failed for your subscription order ${order.orderNumber}`,
+      message: `We could not charge your saved card for order ${order.orderNumber} (${formatMoney(order.totalPrice, order.currency)}).\n\nWe will try again on ${subscription.nextRetryAt.toDateString()}. To avoid missing your delivery, update your payment method: ${manageLink()}`
+    });
+    return 'failed';
+  }
+
+  await withTransaction(async (session) => {
+    const current = await Order.findById(order._id).session(session);
+    if (current.status === 'pending') {
+      await current.transitionTo('cancelled', {
+        note: `Cancelled after ${attempt} failed subscription payments`,
+        session
+      });
+      await current.save({ session });
+    }
+  });
+  subscription.pause();
+  subscription.pendingOrder = undefined;
+  subscription.nextRetryAt = undefined;
+  await subscription.save();
+  await notify(subscription, user, order, {
+    subject: 'Your subscription has been paused',
+    message: `After ${attempt} attempts we could not charge your card for order ${order.orderNumber}, so the order was cancelled and your subscription paused.\n\nUpdate your payment method and resume your subscription: ${manageLink()}`
+  });
+  return 'paused';
+};
+
+// Place the next order of a due subscription and charge it
+const placeSubscriptionOrder = async (subscription) => {
+  const user = await User.findById(subscription.user);
+  if (!user) {
+    subscription.cancel('Customer account no longer exists');
+    await subscription.save();
+    return 'cancelled';
+  }
+
+  const { orderData, shortages: unavailable } = await buildOrderData(subscription, user);
+  const { order, shortages } = orderData
+    ? await withTransaction(async (session) => {
+      const missing = await Product.reserveStock(orderData.items, session);
+      if (missing.length > 0) {
+        await session.abortTransaction();
+        return { order: null, shortages: missing };
+      }
+      const [created] = await Order.create([orderData], { session });
+      return { order: created, shortages: missing };
+    })
+    : { order: null, shortages: unavailable };
+
+  if (!order) {
+    // Skip this delivery rather than ship a partial order
+    subscription.lastError = shortages.map(shortage => `${shortage.name}: ${shortage.message}`).join('; ');
+    await subscription.save();
+    await notify(subscription, user, null, {
+      subject: 'Your subscription delivery was skipped',
+      message: `Some items in your subscription are out of stock or no longer available, so this delivery was skipped:\n${subscription.lastError}\n\nNext delivery: ${subscription.nextOrderDate.toDateString()}\n\nManage your subscription: ${manageLink()}`
+    });
+    return 'skipped';
+  }
+
+  await OrderActivity.log({
+    order: order._id,
+    type: 'system',
+    message: `Order placed by subscription ${subscription._id}`
+  });
+  subscription.lastOrder = order._id;
+  subscription.lastOrderDate = new Date();
+  return settlePayment(subscription, order, user);
+};
+
+// Place orders for active subscriptions that are due
+const processDueSubscriptions = async (summary) => {
+  const now = new Date();
+  const due = await Subscription.find({ status: 'active', nextOrderDate: { $lte: now } })
+    .sort({ nextOrderDate: 1 })
+    .limit(BATCH_SIZE);
+
+  for (const candidate of due) {
+    // Claim the cycle by moving the date on, so concurrent runs never
+    // place the same order twice
+    let next = candidate.nextOrderDate;
+    while (next <= now) {
+      next = Subscription.addMonths(next, candidate.frequencyMonths);
+    }
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: candidate._id, status: 'active', nextOrderDate: candidate.nextOrderDate },
+      { $set: { nextOrderDate: next } },
+      { new: true }
+    );
+    if (!subscription) continue;
+
+    try {
+      const outcome = await placeSubscriptionOrder(subscription);
+      summary[outcome] = (summary[outcome] || 0) + 1;
+    } catch (error) {
+      summary.errors += 1;
+      console.error('Subscriptions: could not place order for subscription', subscription._id, error);
+    }
+  }
+};
+
+// Retry payment for past due subscriptions
+const retryFailedPayments = async (summary) => {
+  const due = await Subscription.find({ status: 'past_due', nextRetryAt: { $lte: new Date() } })
+    .limit(BATCH_SIZE);
+
+  for (const candidate of due) {
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: candidate._id, status: 'past_due', nextRetryAt: candidate.nextRetryAt },
+      { $set: { nextRetryAt: null } },
+      { new: true }
+    );
+    if (!subscription) continue;
+
+    try {
+      const order = await Order.findById(subscription.pendingOrder);
+      const user = await User.findById(subscription.user);
+      if (!order || order.status !== 'pending' || !user) {
+        // The order was paid or cancelled elsewhere
+        subscription.status = 'active';
+        subscription.failedAttempts = 0;
+        subscription.pendingOrder = undefined;
+        await subscription.save();
+        continue;
+      }
+      const outcome = await settlePayment(subscription, order, user);
+      summary[outcome] = (summary[outcome] || 0) + 1;
+      summary.retried += 1;
+    } catch (error) {
+      summary.errors += 1;
+      console.error('Subscriptions: payment retry failed for subscription', subscription._id, error);
+    }
+  }
+};
+
+// Resume subscriptions whose pause has ended
+const resumePaused = async () => {
+  const subscriptions = await Subscription.find({ status: 'paused', resumeAt: { $lte: new Date() } })
+    .limit(BATCH_SIZE);
+  for (const subscription of subscriptions) {
+    subscription.resume();
+    await subscription.save();
+  }
+  return subscriptions.length;
+};
+
+const processSubscriptions = async () => {
+  const summary = { resumed: 0, paid: 0, failed: 0, paused: 0, skipped: 0, cancelled: 0, retried: 0, errors: 0 };
+  summary.resumed = await resumePaused();
+  await retryFailedPayments(summary);
+  await processDueSubscriptions(summary);
+  return summary;
+};
+
+module.exports = processSubscriptions;
@@ -0,0 +1,108 @@
+const stripe = require('./stripe');
+const paymentError = require('./paymentError');
+
+const ERROR_TYPES = {
+  StripeCardError: 'card_error',
+  StripeInvalidRequestError: 'invalid_request',
+  StripeSignatureVerificationError: 'signature'
+};
+
+// Stripe SDK errors in the shape every provider throws
+const toPaymentError = (error) => {
+  if (!error.type || !error.type.startsWith('Stripe')) return error;
+  return paymentError(error.message, {
+    type: ERROR_TYPES[error.type] || 'api_error',
+    code: error.code,
+    declineCode: error.decline_code,
+    paymentIntent: (error.raw && error.raw.payment_intent) || null,
+    statusCode: error.statusCode
+  });
+};
+
+const wrap = (fn) => async (...args) => {
+  try {
+    return await fn(...args);
+  } catch (error) {
+    throw toPaymentError(error);
+  }
+};
+
+// Drop undefined values so Stripe does not receive empty parameters
+const compact = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== undefined)
+);
+
+const requestOptions = ({ idempotencyKey } = {}) => (idempotencyKey ? { idempotencyKey } : undefined);
+
+const createIntent = wrap(({ amount, currency, customer, paymentMethod, confirm, offSession, captureMethod, description, metadata, returnUrl }, options) =>
+  stripe.paymentIntents.create(compact({
+    amount,
+    currency,
+    customer,
+    payment_method: paymentMethod,
+    // Intents confirmed in the browser let Stripe pick the payment methods
+    automatic_payment_methods: paymentMethod ? undefined : { enabled: true },
+    confirm,
+    off_session: offSession,
+    capture_method: captureMethod,
+    description,
+    metadata,
+    return_url: returnUrl
+  }), requestOptions(options)));
+
+const retrieveIntent = wrap((id) => stripe.paymentIntents.retrieve(id));
+
+const updateIntent = wrap((id, { amount, metadata }) =>
+  stripe.paymentIntents.update(id, compact({ amount, metadata })));
+
+const confirmIntent = wrap((id, { paymentMethod, returnUrl } = {}) =>
+  stripe.paymentIntents.confirm(id, compact({ payment_method: paymentMethod, return_url: returnUrl })));
+
+const captureIntent = wrap((id, { amount } = {}) =>
+  stripe.paymentIntents.capture(id, compact({ amount_to_capture: amount })));
+
+// `paymentId` may be a PaymentIntent or, for older orders, a charge
+const createRefund = wrap(({ paymentId, amount, metadata }, options) =>
+  stripe.refunds.create(compact({
+    ...(paymentId.startsWith('ch_') ? { charge: paymentId } : { payment_intent: paymentId }),
+    amount,
+    metadata
+  }), requestOptions(options)));
+
+const listRefunds = wrap(async (chargeId) => {
+  const refunds = await stripe.refunds.list({ charge: chargeId, limit: 100 });
+  return refunds.data;
+});
+
+const createCustomer = wrap(({ email, name, metadata }) =>
+  stripe.customers.create(compact({ email, name, metadata })));
+
+const attachMethod = wrap((methodId, customerId) =>
+  stripe.paymentMethods.attach(methodId, { customer: customerId }));
+
+const retrieveMethod = wrap((methodId) => stripe.paymentMethods.retrieve(methodId));
+
+const detachMethod = wrap((methodId) => stripe.paymentMethods.detach(methodId));
+
+const verifyWebhook = wrap(async (rawBody, headers) =>
+  stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET));
+
+// Stripe delivers events over HTTP to the webhook route only
+const onEvent = () => {};
+
+module.exports = {
+  name: 'stripe',
+  createIntent,
+  retrieveIntent,
+  updateIntent,
+  confirmIntent,
+  captureIntent,
+  createRefund,
+  listRefunds,
+  createCustomer,
+  attachMethod,
+  retrieveMethod,
+  detachMethod,
+  verifyWebhook,
+  onEvent
+};
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Run `fn(session)` inside a MongoDB transaction. The callback may be retried
+// on transient errors, so it should not have side effects outside the database.
+const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = withTransaction;